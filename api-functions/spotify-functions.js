@@ -1,76 +1,169 @@
 /**
  * This module does 2 things:
- * a) once it is read by index.js (i.e when the bot starts), it authorizes SpotifyWebApi using credneitlas from my spotify application
- * b) it exports a function (getPlaylistTrackNamesAsync) that will be used by the bot to get all the song names from a spotify playlist link
+ * a) once index.js calls startSpotifyAuthorization (i.e when the bot starts), it authorizes SpotifyWebApi using credneitlas from my spotify application
+ * b) it exports functions (getSpotifySongsFromURL, getSpotifySongsFromPlaylist) that will be used by the bot to get all the song names from a spotify
+ *    playlist, album, track, or artist link
  */
 
 import SpotifyWebApi from 'spotify-web-api-node';
+import { createLogger } from '../logger.js';
+import Cache from '../storage/cache.js';
+
+const log = createLogger('spotify');
+
+// Pages of 100 songs from playlists, keyed by playlist ID and offset. Playlists get edited, so they aren't kept for long (just long enough that
+// queueing the same playlist a few times in a row doesn't fetch it all again)
+export const playlistPageCache = new Cache('spotify-playlist-pages', { ttl: 30 * 60e3, maxEntries: 500 });
 
 const spotifyApi = new SpotifyWebApi({
     clientId: process.env.SPOTIFY_APP_CLIENT_ID,
     clientSecret: process.env.SPOTIFY_APP_CLIENT_SECRET,
 });
 
+// When the current access token expires (in milliseconds since the epoch), for the health check
+let tokenExpiresAt = 0;
+
 // Grants access for 3600 seconds (1 hour)
 async function authorizeSpotify() {
     const data = await spotifyApi.clientCredentialsGrant();
-    console.log('Spotify has been authorized, the access token will expire in ' + data.body['expires_in'] + " seconds");
+    log.info('Spotify has been authorized', { expiresIn: data.body['expires_in'] });
 
     // Save the access token so that it's used in future calls by the files that import this module
     spotifyApi.setAccessToken(data.body['access_token']);
+    tokenExpiresAt = Date.now() + data.body['expires_in'] * 1e3;
+}
+
+/**
+ * Authorizes now and keeps the token fresh from then on. This used to happen as soon as this module was imported, but then nothing that imports
+ * it (like the tests) could run without network access
+ */
+export async function startSpotifyAuthorization() {
+    // We await our authorizeSpotify call because we want to make sure we have the token set before we try and use it
+    await authorizeSpotify();
+    // Every 3300 seconds (55 minutes), we call authorizeSpotify again to refresh the spotifyApi access token. If that fails, the old token still has 5 minutes left
+    // (and the health check reports it once it runs out)
+    setInterval(() => authorizeSpotify().catch((err) => log.error('Could not refresh the Spotify access token', { err })), 3300 * 1000);
+}
+
+// Whether we have an access token that hasn't expired, i.e whether spotify links can be played right now
+export function isSpotifyTokenValid() {
+    return Date.now() < tokenExpiresAt;
 }
 
-// We await our authorizeSpotify call because we want to make sure we have the token set before we try and use it
-await authorizeSpotify();
-setInterval(authorizeSpotify, 3300 * 1000); // Every 3300 seconds (55 minutes), we call authorizeSpotify again to refresh the spotifyApi access token 
+// Every spotify function returns songs in this shape. 'image_url' is the smallest version of the album cover (good enough for an embed thumbnail)
+function toSpotifySong(track, album = track.album) {
+    return {
+        title: track.name,
+        authors: track.artists.length > 0 ? track.artists : undefined,
+        image_url: album?.images[2]?.url,
+    };
+}
+
+/**
+ * Gets the songs from any kind of spotify link: playlists, albums, single tracks, and artists (which gives the artist's top tracks). Links can be
+ * URLs (https://open.spotify.com/album/...) or URIs (spotify:album:...)
+ * 
+ * Returns { type, songs } where type is 'playlist', 'album', 'track' or 'artist', or null if there is any error along the way (i.e invalid link, or error hitting spotify API)
+ */
+export async function getSpotifySongsFromURL(spotify_url) {
+
+    const parsed = parseSpotifyURL(spotify_url);
+    if (!parsed) {
+        return null;
+    }
+
+    const { type, id } = parsed;
+
+    try {
+        let songs;
+
+        if (type === 'playlist') {
+            songs = await getSpotifySongsFromPlaylist(spotify_url);
+        }
+        else if (type === 'track') {
+            const response = await spotifyApi.getTrack(id);
+            songs = [toSpotifySong(response.body)];
+        }
+        else if (type === 'artist') {
+            // Top tracks are different per country, and the endpoint requires one
+            const response = await spotifyApi.getArtistTopTracks(id, 'US');
+            songs = response.body.tracks.map(track => toSpotifySong(track));
+        }
+        else if (type === 'album') {
+            // The tracks of an album don't come with the album cover, so we grab the album first. It also comes with the first 50 tracks
+            const { body: album } = await spotifyApi.getAlbum(id);
+
+            songs = album.tracks.items.map(track => toSpotifySong(track, album));
+
+            // Same idea as the loop in getSpotifySongsFromPlaylist, for the rare albums that have more than 50 tracks
+            let offset = songs.length;
+            while (offset < album.tracks.total) {
+                const response = await spotifyApi.getAlbumTracks(id, { offset, limit: 50 });
+                if (response.body.items.length === 0)
+                    break;
+
+                songs.push(...response.body.items.map(track => toSpotifySong(track, album)));
+                offset += response.body.items.length;
+            }
+        }
+
+        return songs ? { type, songs } : null;
+    } catch (err) {
+        log.warn('getSpotifySongsFromURL will return null because it ran into an error', { spotify_url, err });
+        return null;
+    }
+}
 
 // Returns null if there is any error along the way (i.e invalid playlist link, or error hitting spotify API)
 export async function getSpotifySongsFromPlaylist(playlist_url) {
 
-    const playlist_id = spotifyURLToPlaylistId(playlist_url)
-    if (!playlist_id) {
+    const parsed = parseSpotifyURL(playlist_url);
+    if (parsed?.type !== 'playlist') {
         return null;
     }
 
+    const playlist_id = parsed.id;
+
     try {
         // This loop adds 100 tracks at a time to an array, 'items'. The reason why it adds only 100 at a time instead of all at once is because
         // Spotify set a max value for the 'limit' route parameter in the API call. Once the API call returns an empty list, the loop ends
-        let response, items = [], offset = 0;
+        let page, items = [], offset = 0;
         do {
-            // Makes a GET request to https://api.spotify.com/v1/playlists/{playlist_id}/tracks, grabbing the 'items.track' field and ignoring the 'items.addby_id' field
-            response = await spotifyApi.getPlaylistTracks(playlist_id, {
-                offset,
-                limit: 100,
-                fields: 'items.track'
+            page = await playlistPageCache.getOrLoad(`${playlist_id}:${offset}`, async () => {
+                // Makes a GET request to https://api.spotify.com/v1/playlists/{playlist_id}/tracks, grabbing the 'items.track' field and ignoring the 'items.addby_id' field
+                const response = await spotifyApi.getPlaylistTracks(playlist_id, {
+                    offset,
+                    limit: 100,
+                    fields: 'items.track'
+                });
+
+                return response.body.items.map(item => toSpotifySong(item.track));
             });
 
-            items.push(...response.body.items.map(item => ({
-                title: item.track.name,
-                authors: item.track.artists.length > 0 ? item.track.artists : undefined,
-                image_url: item.track.album.images[2]?.url,
-            })));
+            items.push(...page);
 
             offset += 100;
         }
-        while (response.body.items.length > 0);
+        while (page.length > 0);
 
         return items;
     } catch (err) {
-        console.log(err)
+        log.warn('getSpotifySongsFromPlaylist will return null because it ran into an error', { playlist_url, err });
         return null;
     }
 
 }
 
-// Helper function used by getPlaylistTrackNamesAsync
-function spotifyURLToPlaylistId(url) {
-    // If the URL doesn't include a '/' we assume they supplied the direct playlist id which is a really nerdy thing to do
-    if (!url.includes('/'))
+/**
+ * Turns a spotify link into the type of thing it links to and its id. Works with URLs like https://open.spotify.com/track/{id}?si=...
+ * (including localized ones like open.spotify.com/intl-de/track/{id}) and URIs like spotify:track:{id}
+ * 
+ * Returns { type, id } where type is 'playlist', 'album', 'track' or 'artist', or null if it isn't a link we can handle
+ */
+export function parseSpotifyURL(url) {
+    const match = url.trim().match(/(?:spotify\.com\/(?:[\w-]+\/)?|spotify:)(playlist|album|track|artist)[/:]([a-zA-Z0-9]+)/);
+    if (!match)
         return null;
-    if (url.includes('?') && url.indexOf('?') > url.lastIndexOf('/'))
-        return url.slice(url.lastIndexOf('/') + 1, url.indexOf('?'))
-    if (!url.includes('?') && url.lastIndexOf('/') < url.length)
-        return url.slice(url.lastIndexOf('/') + 1)
-    return null;
+    return { type: match[1], id: match[2] };
 }
 
@@ -1,16 +1,38 @@
 import { search } from 'youtube-search-without-api-key'
+import youtubedl from 'youtube-dl-exec';
+// in the tutorial, they import { getInfo } as a named export but that doesn't work with this ES module so I do ytdl.getInfo (appears to work fine)
+import ytdl from 'ytdl-core';
+import TimeFormat from 'hh-mm-ss';
+import { createLogger } from '../logger.js';
+import { searchLatency } from '../monitoring/metrics.js';
+import Cache from '../storage/cache.js';
+
+const log = createLogger('youtube');
+
+// Replaying a playlist searches for the same songs over and over, and search results hardly change from one day to the next
+export const searchCache = new Cache('youtube-search', { ttl: 24 * 60 * 60e3, maxEntries: 2000 });
+
+// Titles and durations of videos never change, so these are kept for much longer. Keyed by video ID, since there are many ways to link to one video
+export const videoInfoCache = new Cache('youtube-video-info', { ttl: 7 * 24 * 60 * 60e3, maxEntries: 2000 });
+
+// '  Song  Name ' and 'song name' are the same search
+const normaliseQuery = (query) => query.trim().replace(/\s+/g, ' ').toLowerCase();
 
 // If 'uncensoredLyrics' is true, then it will automatically add 'uncensored lyrics' to the end of every search
 export async function searchYoutube({ songName, author, uncensoredLyrics = false }) {
-    // return null if we cannot find a URL
+    // return null if we cannot find a URL. The cache never keeps null (see cache.js), so a search that failed or found nothing is tried again next time
     const query = ` ${songName} ${author ?? ''} ${uncensoredLyrics ? 'uncensored lyrics' : ''}`;
+    return await searchCache.getOrLoad(normaliseQuery(query), () => searchYoutubeUncached(query));
+}
+
+async function searchYoutubeUncached(query) {
     try {
-        const rawData = await search(query);
+        const rawData = await searchLatency.time(() => search(query));
 
         // Sometimes rawData is missing a url, title, or duration. If it is missing any of these we don't use it
         const validData = rawData.filter(data => data.duration_raw && data.url && data.title);
 
-        if (rawData.length < 1)
+        if (validData.length < 1)
             return null;
 
         return validData.map(data => {
@@ -27,12 +49,115 @@ export async function searchYoutube({ songName, author, uncensoredLyrics = false
             }
         })
     } catch (err) {
-        console.log('Track.fromSearch will return null because it ran into an error:', err);
+        log.warn('searchYoutube will return null because it ran into an error', { query, err });
+        return null;
+    }
+}
+
+/**
+ * Makes sense of all the different kinds of youtube links people paste: youtube.com/watch?v=, youtu.be/ short links, youtube music links,
+ * mobile links, shorts, playlist links, and watch links that are part of a playlist or mix (&list=)
+ * 
+ * Returns { videoId, playlistId, videoURL, playlistURL } with normalised URLs (either id/URL can be null but not both), or null if it isn't a youtube link
+ */
+export function parseYoutubeURL(input) {
+    const trimmed = input.trim();
+
+    let url;
+    try {
+        url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : 'https://' + trimmed);
+    } catch {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^(www|m|music)\./, '');
+
+    let videoId = null;
+    if (host === 'youtu.be') {
+        videoId = url.pathname.split('/')[1] || null;
+    }
+    else if (host === 'youtube.com') {
+        const [, type, id] = url.pathname.split('/');
+
+        if (type === 'watch')
+            videoId = url.searchParams.get('v');
+        else if (type === 'shorts' || type === 'embed' || type === 'live')
+            videoId = id || null;
+        else if (type !== 'playlist')
+            return null;
+    }
+    else {
+        return null;
+    }
+
+    const playlistId = url.searchParams.get('list');
+
+    if (!videoId && !playlistId)
+        return null;
+
+    return {
+        videoId,
+        playlistId,
+        videoURL: videoId ? `https://www.youtube.com/watch?v=${videoId}` : null,
+        // Mixes (the playlist ids that start with RD) are generated from a video, so they only work if the video is part of the URL
+        playlistURL: playlistId ? (videoId ? `https://www.youtube.com/watch?v=${videoId}&list=${playlistId}` : `https://www.youtube.com/playlist?list=${playlistId}`) : null,
+    };
+}
+
+/**
+ * Gets the videos of a youtube playlist or mix without downloading any of them. youtube-dl's --flat-playlist only lists the videos, which is quick
+ * even for huge playlists. Private and deleted videos are left out since they can't be played anyway
+ * 
+ * Returns { title, videos } where each video looks like a search result ({ youtube_url, youtube_title, durationTimestamp }), or null if there is any error
+ */
+export async function getYoutubePlaylistVideos(playlist_url) {
+    try {
+        const playlist = await youtubedl(playlist_url, { dumpSingleJson: true, flatPlaylist: true, yesPlaylist: true, noWarnings: true });
+
+        const videos = (playlist.entries ?? [])
+            .filter(entry => entry.id && entry.title !== '[Private video]' && entry.title !== '[Deleted video]')
+            .map(entry => ({
+                youtube_url: `https://www.youtube.com/watch?v=${entry.id}`,
+                youtube_title: entry.title,
+                durationTimestamp: entry.duration ? TimeFormat.fromS(Math.round(entry.duration)) : undefined,
+            }));
+
+        return { title: playlist.title, videos };
+    } catch (err) {
+        log.warn('getYoutubePlaylistVideos will return null because it ran into an error', { playlist_url, err });
         return null;
     }
 }
 
-// todo maybe replace call to ytdl.getInfo with something like this idk prolly not
-export async function videoInfoFromURL(youtube_url) {
-    // return null if url is invalid
+/**
+ * Gets the title and duration of a youtube video without downloading it
+ *
+ * Returns { youtube_url, youtube_title, durationTimestamp } (like a search result), or null if there is any error (e.g the video doesn't exist)
+ */
+export async function getVideoInfo(youtube_url) {
+    const key = parseYoutubeURL(youtube_url)?.videoId ?? youtube_url;
+
+    return await videoInfoCache.getOrLoad(key, async () => {
+        try {
+            const { title, lengthSeconds } = (await ytdl.getInfo(youtube_url)).videoDetails;
+            return { youtube_url, youtube_title: title, durationTimestamp: TimeFormat.fromS(Number(lengthSeconds)) };
+        } catch (err) {
+            log.warn('getVideoInfo will return null because it ran into an error', { youtube_url, err });
+            return null;
+        }
+    });
+}
+
+/**
+ * Called when a video can't be downloaded (see spawnErrorHandler in track.js). Forgets its info, and every cached search that found it, so the
+ * next search for the same song gets fresh results instead of the same unplayable video
+ */
+export function evictUnplayableVideo(youtube_url) {
+    const videoId = parseYoutubeURL(youtube_url)?.videoId;
+    const isThisVideo = (video) => video.youtube_url === youtube_url || (videoId && parseYoutubeURL(video.youtube_url)?.videoId === videoId);
+
+    videoInfoCache.delete(videoId ?? youtube_url);
+    const searches = searchCache.deleteWhere(results => results.some(isThisVideo), 'unplayable');
+
+    log.info('Evicted an unplayable video from the caches', { youtube_url, searches });
 }
@@ -1,11 +1,10 @@
-
 // Import the necessary discord.js classes
 import { Client, Intents } from 'discord.js'
 
 // Create a new client instance and give it the intents that we need for this bot
 const client = new Client({ intents: [Intents.FLAGS.GUILDS, "GUILD_MESSAGES", 'GUILD_VOICE_STATES'], partials: ["CHANNEL"] });
 
-// Login to Discord with the client's token
-await client.login(process.env.BOT_TOKEN);
+// index.js logs in once the event handlers are attached. Nothing else logs in, so modules that import the client (e.g for the tests) don't need
+// a bot token or network access
 
-export default client;
\ No newline at end of file
+export default client;
@@ -0,0 +1,29 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+
+const clearCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('clear')
+        .setDescription('Clears the queue'),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        // Wait for the mutex lock for our queue so we don't modify it concurrently. Also adds 'unlockQueueReply' to the interaction
+        await subscription.queue.acquireLock(interaction);
+        subscription.queue.clear();
+        return await interaction.unlockQueueReply("Queue Cleared!")
+    }
+}
+
+export default clearCommand;
@@ -0,0 +1,44 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { Permission } from '../permissions.js';
+import { getRequester } from '../helpers.js';
+import { createApiToken, revokeApiToken } from '../../storage/api-tokens.js';
+
+const dashboardCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('dashboard')
+        .setDescription('Gets a token for managing the queue from a browser')
+        .addSubcommand(subcommand =>
+            subcommand.setName('token')
+                .setDescription('Sends you a new token for this server in a DM (your old one stops working)'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('revoke')
+                .setDescription('Makes your token for this server stop working')),
+
+    async execute(interaction) {
+
+        if (!interaction.inGuild())
+            return await interaction.reply("This command can only be used in a server");
+
+        if (interaction.options.getSubcommand() === 'revoke') {
+            const revoked = revokeApiToken(interaction.guildId, interaction.member.id);
+            return await interaction.reply({ content: revoked ? "Your token no longer works" : "You don't have a token for this server", ephemeral: true });
+        }
+
+        const token = createApiToken(interaction.guildId, getRequester(interaction.member));
+
+        // Tokens are sent in a DM since prefix commands can't reply privately, and anyone who sees the token can use it
+        try {
+            await interaction.user.send("Your dashboard token for `" + interaction.guild.name + "` is `" + token + "`. Anyone with it can manage the queue like a DJ, so keep it secret. Use /dashboard revoke if it leaks");
+        } catch {
+            revokeApiToken(interaction.guildId, interaction.member.id);
+            return await interaction.reply({ content: "Could not DM you the token. Allow DMs from server members and try again", ephemeral: true });
+        }
+
+        return await interaction.reply({ content: "Sent you a DM with your token", ephemeral: true });
+    }
+}
+
+export default dashboardCommand;
@@ -0,0 +1,116 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions } from '../../music/subscription.js';
+import { audioFilters } from '../../music/filters.js';
+import { Permission } from '../permissions.js';
+
+const filterCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('filter')
+        .setDescription('Applies audio effects (bass boost, nightcore, etc). Effects can be combined')
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Turns on an audio effect (or changes its value if it is already on)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The effect to turn on')
+                        .setRequired(true)
+                        .addChoices(Object.keys(audioFilters).map(name => [name, name])))
+                .addStringOption(option =>
+                    option.setName('value')
+                        .setDescription('Only for tempo and pitch, e.g 1.25 for 25% higher')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Turns off an audio effect')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The effect to turn off')
+                        .setRequired(true)
+                        .addChoices(Object.keys(audioFilters).map(name => [name, name]))))
+        .addSubcommand(subcommand =>
+            subcommand.setName('clear')
+                .setDescription('Turns off every audio effect'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Shows which audio effects are on, and which ones are available')),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            let string = "Active effects: " + (Object.keys(subscription.filters).map(name => "`" + name + (subscription.filters[name] !== null ? " " + subscription.filters[name] : "") + "`").join(', ') || "`none`");
+            for (let name in audioFilters)
+                string += '\n' + "`" + name + "` " + audioFilters[name].description;
+            return await interaction.reply({ content: string, ephemeral: true });
+        }
+
+        const filters = { ...subscription.filters };
+        let reply;
+
+        if (subcommand === 'clear') {
+            if (Object.keys(filters).length === 0)
+                return await interaction.reply("There aren't any effects on");
+
+            for (let name in filters)
+                delete filters[name];
+            reply = "Turned off every effect";
+        }
+        else {
+            const name = interaction.options.getString('name');
+            const audioFilter = audioFilters[name];
+
+            if (!audioFilter)
+                return await interaction.reply("`" + name + "` is not an effect. To see the effects, use /filter list");
+
+            if (subcommand === 'remove') {
+                if (!(name in filters))
+                    return await interaction.reply("`" + name + "` is not on");
+
+                delete filters[name];
+                reply = "Turned off `" + name + "`";
+            }
+            else {
+                let value = null;
+
+                if (audioFilter.min !== undefined) {
+                    if (!interaction.options.getString('value'))
+                        return await interaction.reply("`" + name + "` needs a `value` between `" + audioFilter.min + "` and `" + audioFilter.max + "`");
+
+                    value = Number(interaction.options.getString('value').trim());
+                    if (Number.isNaN(value))
+                        return await interaction.reply("`value` must be a number!")
+
+                    if (value < audioFilter.min || value > audioFilter.max)
+                        return await interaction.reply("`value` must be between `" + audioFilter.min + "` and `" + audioFilter.max + "`");
+                }
+
+                filters[name] = value;
+                reply = "Turned on `" + name + (value !== null ? " " + value : "") + "`";
+            }
+        }
+
+        // Restarting the current track with the new effects can take a couple of seconds
+        await interaction.deferReply();
+
+        try {
+            await subscription.setFilters(filters);
+        } catch (error) {
+            subscription.log.error('Changing filters ran into an error', { err: error });
+            return await interaction.followUp("Changed the effects, but could not restart the current song with them. They will apply from the next song")
+        }
+
+        return await interaction.followUp(reply);
+    }
+}
+
+export default filterCommand;
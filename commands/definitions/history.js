@@ -0,0 +1,42 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { getHistory } from '../../music/history.js';
+import { Permission } from '../permissions.js';
+import { paginate } from '../helpers.js';
+
+const historyCommand = {
+
+    permission: Permission.Open,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Displays the songs that recently finished playing on this server')
+        .addStringOption(option =>
+            option.setName('page')
+                .setDescription('The page of the history you want to view')),
+
+    async execute(interaction) {
+
+        const history = getHistory(interaction.guildId);
+
+        const length = history.length;
+
+        if (length == 0)
+            return await interaction.reply({ content: "Nothing has been played on this server yet", ephemeral: true })
+
+        const { page, highestPage, startIndex, pageItems: entries } = paginate(history, interaction.options.getString('page'));
+
+        let currIndex = startIndex;
+
+        let string = `${"History Page " + "`" + page + "` of " + "`" + highestPage + "`"} (most recent first)`;
+
+        // <t:UNIX_SECONDS:R> is rendered by discord as a relative time (e.g '5 minutes ago') in the user's own timezone
+        for (let { track, playedAt } of entries) {
+            string += '\n' + "`" + currIndex++ + "` " + "`" + (track.youtube_title || track.spotify_title) + "`" + " requested by " + "`" + (track.requestedByName ?? track.requestedBy) + "` " + `<t:${Math.floor(playedAt / 1000)}:R>`
+        }
+
+        await interaction.reply({ content: string, ephemeral: true })
+    }
+
+}
+
+export default historyCommand;
@@ -0,0 +1,55 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+
+const jumpCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('jump')
+        .setDescription('Skips all songs in the queue (including current) up to the given queue index')
+        .addStringOption(option =>
+            option.setName('index')
+                .setDescription('The index being jumped to')
+                .setRequired(true)),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        // Wait for the mutex lock for our queue so we don't modify it concurrently. Also adds 'unlockQueueReply' to the interaction
+        const unlockQueue = await subscription.queue.acquireLock(interaction);
+
+        if (!interaction.options.getString('index'))
+            return await interaction.unlockQueueReply("A queue index must be specified for this command`");
+
+        const length = await subscription.queue.length();
+
+        const index = Number(interaction.options.getString('index').trim())
+        if (Number.isNaN(index))
+            return await interaction.unlockQueueReply("`index` must be a number! To see indices, use /queue")
+
+        if (index <= 0) {
+            return await interaction.unlockQueueReply("Jumping to index 0 is the same as /skip. Just use /skip")
+        }
+
+        if (index >= length) {
+            return await interaction.unlockQueueReply("`index` too high (the highest index in the queue is `" + (length - 1) + "`)")
+        }
+
+        await interaction.reply('Skipping the current song and jumping to position `' + index + '`')
+        subscription.queue.jump(index);
+        unlockQueue();
+
+        subscription.skip();
+    }
+
+}
+
+export default jumpCommand;
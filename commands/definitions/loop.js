@@ -0,0 +1,57 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions, LoopMode } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+import { createPanelInteraction } from '../helpers.js';
+
+const loopCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('loop')
+        .setDescription('Repeats the current song (track), the whole queue (queue), or nothing (off)')
+        .addStringOption(option =>
+            option.setName('mode')
+                .setDescription('The loop mode')
+                .setRequired(true)
+                .addChoice('off', LoopMode.Off)
+                .addChoice('track', LoopMode.Track)
+                .addChoice('queue', LoopMode.Queue)),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        const mode = interaction.options.getString('mode');
+
+        if (!Object.values(LoopMode).includes(mode))
+            return await interaction.reply("`mode` must be one of `off`, `track`, or `queue`");
+
+        if (subscription.loopMode === mode)
+            return await interaction.reply("The loop mode is already `" + mode + "`");
+
+        subscription.setLoopMode(mode);
+
+        if (mode === LoopMode.Track)
+            return await interaction.reply("Looping the current track. Skipping will move on to the next song")
+
+        if (mode === LoopMode.Queue)
+            return await interaction.reply("Looping the queue. Finished songs will go back to the end of the queue")
+
+        return await interaction.reply("Stopped looping")
+    },
+
+    // The 'Loop' button on the control panel goes to the next loop mode (off -> track -> queue -> off)
+    async handleComponent(interaction) {
+        const modes = Object.values(LoopMode);
+        const mode = modes[(modes.indexOf(subscriptions.get(interaction.guildId)?.loopMode) + 1) % modes.length];
+        return await loopCommand.execute(createPanelInteraction(interaction, { mode }));
+    }
+}
+
+export default loopCommand;
@@ -0,0 +1,44 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { joinVoiceChannel } from '@discordjs/voice';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+import { isInteractionValidForMusic } from '../helpers.js';
+
+const moveCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('move')
+        .setDescription('Moves the bot to the channel you are currently in'),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        // isInteractionValidForMusic() makes sure they are a GuildMember inside of a voice channe 
+        if (!isInteractionValidForMusic(interaction))
+            return await interaction.reply('You must be a user and inside of a voice channel to use this command');
+
+        // Grabs the existing Music Subscription for this guild, or creates a new one if one does not already exist
+        const voiceChannel = interaction.member.voice.channel;
+
+        /* "If you try to call joinVoiceChannel on another channel in the same guild in which there is already an active
+         * voice connection, the existing voice connection switches over to the new channel" the docs better not have lied 
+         */
+        joinVoiceChannel({
+            channelId: voiceChannel.id,
+            guildId: voiceChannel.guild.id,
+            adapterCreator: voiceChannel.guild.voiceAdapterCreator,
+        });
+
+        return await interaction.reply("Moved!")
+    }
+}
+
+export default moveCommand;
@@ -0,0 +1,28 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { Permission } from '../permissions.js';
+import playCommand from './play.js';
+
+const nextCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('next')
+        .setDescription(`Same as /play, but adds to the beginning of the queue. Can't be used with a spotify playlist URL`)
+        .addStringOption(option =>
+            option.setName('song')
+                .setDescription('Song Name | Youtube URL | Spotify Track URL')
+                .setRequired(true)
+                .setAutocomplete(true)),
+
+    async execute(interaction) {
+        return await playCommand.execute(interaction, true);
+    },
+
+    async autocomplete(interaction) {
+        return await playCommand.autocomplete(interaction);
+    }
+
+}
+
+export default nextCommand;
@@ -0,0 +1,29 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { Permission } from '../permissions.js';
+import playCommand from './play.js';
+
+const nowCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('now')
+        .setDescription(`Same as /play, but skips and plays immediately. Can't be used with a spotify playlist URL`)
+        .addStringOption(option =>
+            option.setName('song')
+                .setDescription('Song Name | Youtube URL | Spotify Track URL')
+                .setRequired(true)
+                .setAutocomplete(true)),
+
+
+    async execute(interaction) {
+        return await playCommand.execute(interaction, true, true);
+    },
+
+    async autocomplete(interaction) {
+        return await playCommand.autocomplete(interaction);
+    }
+
+}
+
+export default nowCommand;
@@ -0,0 +1,46 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+
+const nowplayingCommand = {
+
+    permission: Permission.Open,
+
+    // For prefix commands, e.g !np (see prefix-commands.js)
+    aliases: ['np'],
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('nowplaying')
+        .setDescription('Shows the song that is currently playing and how far into it we are'),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        const { status } = subscription.audioPlayer.state;
+        if (status === AudioPlayerStatus.Idle || status === AudioPlayerStatus.Buffering)
+            return await interaction.reply("Nothing is playing right now")
+
+        const track = subscription.nowPlaying();
+        const createEmbed = () => track.createProgressEmbed(subscription.getPlaybackPosition(), subscription.audioPlayer.state.status === AudioPlayerStatus.Paused);
+
+        await interaction.reply({ embeds: [createEmbed()] });
+
+        // Keep the progress bar moving for 2 minutes, or until this track stops playing
+        let updates = 0;
+        const interval = setInterval(async () => {
+            if (++updates > 12 || subscription.destroyed || subscription.audioPlayer.state.resource?.metadata !== track)
+                return clearInterval(interval);
+
+            await interaction.editReply({ embeds: [createEmbed()] }).catch(() => clearInterval(interval));
+        }, 10e3);
+    }
+}
+
+export default nowplayingCommand;
@@ -0,0 +1,47 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+import { createPanelInteraction } from '../helpers.js';
+
+const pauseCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('pause')
+        .setDescription('Pauses the current song'),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        if (subscription.audioPlayer.state.status === AudioPlayerStatus.Paused)
+            return await interaction.reply("Already paused. You can use /play without entering a song name to unpause");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        subscription.audioPlayer.pause();
+        return await interaction.reply("Paused")
+    },
+
+    // The 'Pause' button on the control panel, which turns into a 'Resume' button while paused. Both come here so that resuming from the panel
+    // needs the same permission as pausing
+    async handleComponent(interaction) {
+        const panelInteraction = createPanelInteraction(interaction);
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (subscription?.audioPlayer.state.status !== AudioPlayerStatus.Paused)
+            return await pauseCommand.execute(panelInteraction);
+
+        subscription.lastTextChannel = interaction.channel;
+
+        subscription.audioPlayer.unpause();
+        return await panelInteraction.reply("Unpaused")
+    }
+}
+
+export default pauseCommand;
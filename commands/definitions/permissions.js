@@ -0,0 +1,118 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { Permissions } from 'discord.js';
+import { getGuildSetting, setGuildSetting } from '../../storage/guild-settings.js';
+import { Permission, describeDJs, getCommandPermission, setCommandPermission, setDJRole } from '../permissions.js';
+import commands from '../commands.js';
+
+const permissionsCommand = {
+
+    permission: Permission.Open,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('permissions')
+        .setDescription('Picks the DJ role and who can use each command (only admins can change these)')
+        .addSubcommand(subcommand =>
+            subcommand.setName('dj-role')
+                .setDescription('Sets the DJ role. Leave the role empty to make everyone a DJ again')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The DJ role')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('set')
+                .setDescription('Sets who can use a command on this server')
+                .addStringOption(option =>
+                    option.setName('command')
+                        .setDescription('The name of the command, e.g stop')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('permission')
+                        .setDescription('Who can use the command')
+                        .setRequired(true)
+                        .addChoice('everyone', Permission.Open)
+                        .addChoice('DJs only', Permission.DJ)
+                        .addChoice('DJs, or whoever requested the song', Permission.RequesterOrDJ)
+                        .addChoice('default', 'default')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('vote-skip')
+                .setDescription('Sets how many of the people listening have to vote for /skip to skip a song')
+                .addStringOption(option =>
+                    option.setName('percent')
+                        .setDescription('The percentage of people listening (1 to 100)')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Displays who can use each command on this server')),
+
+    async execute(interaction) {
+
+        if (!interaction.inGuild())
+            return await interaction.reply("This command can only be used in a server");
+
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+
+            const descriptions = {
+                [Permission.Open]: 'everyone',
+                [Permission.DJ]: 'DJs only',
+                [Permission.RequesterOrDJ]: 'DJs, or whoever requested the song',
+            };
+
+            let string = "DJs on this server are " + describeDJs(interaction.guildId);
+            string += '\n' + "Everyone else needs `" + Math.round(getGuildSetting(interaction.guildId, 'voteSkipFraction', 0.5) * 100) + "%` of the people listening to vote with `/skip` to skip a song they didn't request";
+            for (let [commandName, command] of Object.entries(commands))
+                string += '\n' + "`/" + commandName + "` " + descriptions[getCommandPermission(interaction.guildId, commandName, command)];
+
+            return await interaction.reply({ content: string, ephemeral: true, allowedMentions: { parse: [] } });
+        }
+
+        if (!interaction.memberPermissions?.has(Permissions.FLAGS.ADMINISTRATOR))
+            return await interaction.reply("Only admins can change permissions");
+
+        if (subcommand === 'dj-role') {
+
+            const role = interaction.options.getRole('role');
+
+            setDJRole(interaction.guildId, role?.id);
+
+            if (!role)
+                return await interaction.reply("Removed the DJ role, everyone is a DJ now");
+
+            return await interaction.reply({ content: "Set the DJ role to <@&" + role.id + ">", allowedMentions: { parse: [] } });
+        }
+
+        if (subcommand === 'vote-skip') {
+
+            const percent = Number(interaction.options.getString('percent').trim().replace(/%$/, ''));
+
+            if (Number.isNaN(percent) || percent < 1 || percent > 100)
+                return await interaction.reply("`percent` must be a number between `1` and `100`");
+
+            setGuildSetting(interaction.guildId, 'voteSkipFraction', percent / 100);
+
+            return await interaction.reply("Skipping a song now takes votes from `" + percent + "%` of the people listening");
+        }
+
+        // The only subcommand left is 'set'
+        const commandName = interaction.options.getString('command').trim().replace(/^\//, '').toLowerCase();
+        const permission = interaction.options.getString('permission');
+        const command = commands[commandName];
+
+        if (!command)
+            return await interaction.reply("There is no command called `/" + commandName + "`");
+
+        // Otherwise admins could lock themselves out of changing permissions (admins are always DJs, but still)
+        if (commandName === 'permissions')
+            return await interaction.reply("The permissions of `/permissions` cannot be changed");
+
+        // Only commands that affect a specific track know how to check who requested it
+        if (permission === Permission.RequesterOrDJ && command.permission !== Permission.RequesterOrDJ)
+            return await interaction.reply("`/" + commandName + "` doesn't affect a specific song, so it can only be used by `everyone` or `DJs only`");
+
+        setCommandPermission(interaction.guildId, commandName, permission === 'default' ? undefined : permission);
+
+        return await interaction.reply("Changed who can use `/" + commandName + "`. Use `/permissions list` to see everything");
+    }
+}
+
+export default permissionsCommand;
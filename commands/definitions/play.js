@@ -0,0 +1,155 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { subscriptions, getOrCreateSubscription } from '../../music/subscription.js';
+import { findResolver } from '../../music/resolvers.js';
+import { getSongSuggestions } from '../../music/suggestions.js';
+import { Permission } from '../permissions.js';
+import { isInteractionValidForMusic, getRequester, ensureConnectionIsReady } from '../helpers.js';
+import { createLogger } from '../../logger.js';
+
+const log = createLogger('commands');
+
+const playCommand = {
+
+    permission: Permission.Open,
+
+    // For prefix commands, e.g !p (see prefix-commands.js)
+    aliases: ['p'],
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('play')
+        .setDescription('Enqueues a new track, or unpauses the current track depending on if the "song" option is supplied')
+        .addStringOption(option =>
+            option.setName('song')
+                .setDescription('Song Name | Youtube URL or Playlist URL | Spotify URL | Audio File URL')
+                .setAutocomplete(true))
+        .addBooleanOption(option =>
+            option.setName('shuffle')
+                .setDescription('Shuffle the queue after adding a playlist (spotify playlists are shuffled unless this is false)')),
+
+    async execute(interaction, beginningOfQueue = false, now = false) {
+
+        const enqueueYoutubeTrack = playCommand.enqueueYoutubeTrack;
+
+        // if beginningOfQueue is true, it enqueues it to the beginning of the queue instead of the end
+        // if now is set to true the current song will get skipped and it will play the requested song immediately
+        now && (beginningOfQueue = true)
+
+        await interaction.deferReply();
+
+        // If the command has an argument, they are not using /play in order to unpause, but rather to queue up a new track
+        const userInput = interaction.options.getString('song');
+
+        // Only /play has this option, it is null for /next and /now (and when they leave it out)
+        const shuffle = interaction.options.getBoolean('shuffle');
+
+        // Always call isInteractionValidForMusic before calling getOrCreateSubscription to make sure the fields that the subscription needs are defined
+        if (!isInteractionValidForMusic(interaction)) {
+            await interaction.followUp('You must be a user and inside of a voice channel to use this command');
+            return;
+        }
+
+        // Grabs the existing Music Subscription for this guild, or creates a new one if one does not already exist
+        const voiceChannel = interaction.member.voice.channel;
+        const textChannel = interaction.channel;
+        const requester = getRequester(interaction.member);
+
+        // If they typed something after /play then we will create a subscription no matter what. If they didn't they are using it to unpause so we don't necessarily want to create a subscriptoon
+
+        if (userInput) {
+
+            if (voiceChannel) {
+
+                // Figures out where the music is coming from (youtube, spotify, a search, etc). See resolvers.js
+                const resolver = findResolver(userInput, { beginningOfQueue });
+
+                // e.g you cannot use /now or /next with playlists
+                if (beginningOfQueue && !resolver.canEnqueueFirst(userInput))
+                    return await interaction.followUp(`This command cannot be used with ${resolver.name}`);
+
+                const { tracks, collection, shuffleByDefault, error } = await resolver.resolve(userInput, requester);
+
+                if (error)
+                    return await interaction.followUp(error);
+
+                const subscription = getOrCreateSubscription(voiceChannel, textChannel)
+
+                if (!await ensureConnectionIsReady(subscription))
+                    return await interaction.followUp('Could not establish a voice connection within 15 seconds, please try again later');
+
+                for (let track of tracks)
+                    track.subscription = subscription;
+
+                // A single song (youtube video, search, single spotify track, etc)
+                if (!collection)
+                    return await enqueueYoutubeTrack(tracks[0], subscription, interaction, beginningOfQueue, now);
+
+                // A playlist, album, etc. Unless they say otherwise, whether it gets shuffled is up to the resolver
+                const shuffleQueue = shuffle ?? shuffleByDefault;
+
+                const unlockQueue = await subscription.queue.acquireLock();
+                subscription.queue.enqueue(...tracks);
+                shuffleQueue && subscription.queue.shuffle();
+                unlockQueue();
+
+                void subscription.processQueue();
+
+                return await interaction.followUp(`Enqueued **${tracks.length}** tracks from ${collection}${shuffleQueue ? ' and shuffled the queue' : ''}`)
+            }
+            else {
+                return await interaction.followUp("You must be in a voice channel to use this command")
+            }
+
+        }
+        else {
+            const subscription = subscriptions.get(interaction.guildId)
+
+            if (!subscription)
+                return await interaction.followUp("Not currently playing on this server");
+
+            if (subscription.audioPlayer.state.status !== AudioPlayerStatus.Paused)
+                return await interaction.followUp("Cannot unpause, the audio player is not currently paused. If you are trying to queue up a song, make sure you see the [song] parameter appear while typing the command");
+
+            subscription.lastTextChannel = interaction.channel;
+
+            subscription.audioPlayer.unpause();
+            return await interaction.followUp("Unpaused")
+        }
+    },
+
+    // Cannot be used for spotify playlists (but single spotify tracks are fine)
+    async enqueueYoutubeTrack(track, subscription, deferred_interaction, beginningOfQueue, now) {
+
+        // Spotify tracks don't have a youtube title until they are about to play
+        const title = track.youtube_title ?? track.spotify_title;
+
+
+        now && (beginningOfQueue = true);
+
+        // Wait for mutex lock for queue to be sure that we are not modifying it concurrently
+        const unlockQueue = await subscription.queue.acquireLock();
+        if (beginningOfQueue) {
+            subscription.queue.enqueueFirst(track);
+            unlockQueue();
+            if (now)
+                subscription.skip();
+            void subscription.processQueue();
+            await deferred_interaction.followUp(`Enqueued ${"`" + title + "`"} at position ${"`0`"}`);
+        }
+        else {
+            await deferred_interaction.followUp(`Enqueued ${"`" + title + "`"} at position ${"`" + (subscription.queue.length()) + "`"}`);
+            subscription.queue.enqueue(track);
+            unlockQueue();
+            void subscription.processQueue();
+        }
+
+    },
+
+    // Suggestions while they type the 'song' option (see suggestions.js). /next and /now use this too
+    async autocomplete(interaction) {
+        await interaction.respond(await getSongSuggestions(interaction)).catch((err) => log.warn('Could not respond to an autocomplete interaction', { guildId: interaction.guildId, err }));
+    }
+
+}
+
+export default playCommand;
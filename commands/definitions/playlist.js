@@ -0,0 +1,179 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { Permissions } from 'discord.js';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { subscriptions, getOrCreateSubscription } from '../../music/subscription.js';
+import { savePlaylist, getPlaylist, getPlaylists, deletePlaylist, playlistToTracks } from '../../music/playlists.js';
+import { Permission } from '../permissions.js';
+import { isInteractionValidForMusic, getRequester, ensureConnectionIsReady, paginate } from '../helpers.js';
+
+const playlistCommand = {
+
+    permission: Permission.Open,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('playlist')
+        .setDescription('Saves the queue as a playlist for this server, or loads one that was saved before')
+        .addSubcommand(subcommand =>
+            subcommand.setName('save')
+                .setDescription('Saves the current song and the queue as a playlist')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The name of the playlist')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('load')
+                .setDescription('Adds the songs of a saved playlist to the end of the queue')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The name of the playlist')
+                        .setRequired(true))
+                .addBooleanOption(option =>
+                    option.setName('shuffle')
+                        .setDescription('Shuffle the queue after adding the playlist')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Displays the playlists saved on this server')
+                .addStringOption(option =>
+                    option.setName('page')
+                        .setDescription('The page of the list you want to view')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('show')
+                .setDescription('Displays the songs in a saved playlist')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The name of the playlist')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('page')
+                        .setDescription('The page of the playlist you want to view')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('delete')
+                .setDescription('Deletes a saved playlist (only whoever saved it or an admin can do this)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The name of the playlist')
+                        .setRequired(true))),
+
+    async execute(interaction) {
+
+        const subcommand = interaction.options.getSubcommand();
+        const name = interaction.options.getString('name')?.trim();
+
+        // Only whoever saved a playlist (or an admin) can overwrite or delete it
+        const canModify = (playlist) => playlist.createdBy === interaction.user.id || interaction.memberPermissions?.has(Permissions.FLAGS.ADMINISTRATOR);
+
+        if (subcommand === 'save') {
+
+            const subscription = subscriptions.get(interaction.guildId);
+
+            if (!subscription)
+                return await interaction.reply("Not currently playing on this server");
+
+            subscription.lastTextChannel = interaction.channel;
+
+            if (!name)
+                return await interaction.reply("The playlist needs a `name`");
+
+            const existingPlaylist = getPlaylist(interaction.guildId, name);
+            if (existingPlaylist && !canModify(existingPlaylist))
+                return await interaction.reply("There is already a playlist called `" + existingPlaylist.name + "` and only `" + existingPlaylist.createdByName + "` or an admin can overwrite it");
+
+            // Wait for the mutex lock for our queue so we don't modify it concurrently. Also adds 'unlockQueueReply' to the interaction
+            await subscription.queue.acquireLock(interaction);
+
+            const tracks = subscription.queue.getShallowClone();
+
+            const { status } = subscription.audioPlayer.state;
+            if (status !== AudioPlayerStatus.Idle)
+                tracks.unshift(subscription.nowPlaying());
+
+            if (tracks.length === 0)
+                return await interaction.unlockQueueReply("There is nothing playing and nothing in the queue, so there is nothing to save");
+
+            savePlaylist(interaction.guildId, name, tracks, interaction.member);
+
+            return await interaction.unlockQueueReply("Saved **" + tracks.length + "** songs as the playlist `" + name + "`" + (existingPlaylist ? " (overwrote the old one)" : ""));
+        }
+
+        if (subcommand === 'list') {
+
+            const allPlaylists = getPlaylists(interaction.guildId);
+
+            if (allPlaylists.length === 0)
+                return await interaction.reply({ content: "There are no playlists saved on this server. Use /playlist save to save one", ephemeral: true });
+
+            const { page, highestPage, startIndex, pageItems } = paginate(allPlaylists, interaction.options.getString('page'));
+
+            let currIndex = startIndex;
+
+            let string = `${"Playlists Page " + "`" + page + "` of " + "`" + highestPage + "`"} `;
+
+            for (let playlist of pageItems) {
+                string += '\n' + "`" + currIndex++ + "` " + "`" + playlist.name + "` " + playlist.tracks.length + " songs, saved by " + "`" + playlist.createdByName + "`"
+            }
+
+            return await interaction.reply({ content: string, ephemeral: true });
+        }
+
+        const playlist = getPlaylist(interaction.guildId, name ?? '');
+
+        if (!playlist)
+            return await interaction.reply({ content: "There is no playlist called `" + name + "` on this server. To see the playlists, use /playlist list", ephemeral: true });
+
+        if (subcommand === 'show') {
+
+            const { page, highestPage, startIndex, pageItems } = paginate(playlist.tracks, interaction.options.getString('page'));
+
+            let currIndex = startIndex;
+
+            let string = `${"`" + playlist.name + "` Page " + "`" + page + "` of " + "`" + highestPage + "`"} `;
+
+            for (let track of pageItems) {
+                string += '\n' + "`" + currIndex++ + "` " + "`" + (track.youtube_title || track.spotify_title) + "`"
+            }
+
+            return await interaction.reply({ content: string, ephemeral: true });
+        }
+
+        if (subcommand === 'delete') {
+
+            if (!canModify(playlist))
+                return await interaction.reply("Only `" + playlist.createdByName + "` or an admin can delete `" + playlist.name + "`");
+
+            deletePlaylist(interaction.guildId, playlist.name);
+
+            return await interaction.reply("Deleted the playlist `" + playlist.name + "`");
+        }
+
+        // The only subcommand left is 'load'
+        await interaction.deferReply();
+
+        // Always call isInteractionValidForMusic before calling getOrCreateSubscription to make sure the fields that the subscription needs are defined
+        if (!isInteractionValidForMusic(interaction))
+            return await interaction.followUp('You must be a user and inside of a voice channel to use this command');
+
+        const tracks = playlistToTracks(playlist, getRequester(interaction.member));
+
+        const subscription = getOrCreateSubscription(interaction.member.voice.channel, interaction.channel)
+
+        if (!await ensureConnectionIsReady(subscription))
+            return await interaction.followUp('Could not establish a voice connection within 15 seconds, please try again later');
+
+        for (let track of tracks)
+            track.subscription = subscription;
+
+        const shuffle = interaction.options.getBoolean('shuffle');
+
+        const unlockQueue = await subscription.queue.acquireLock();
+        subscription.queue.enqueue(...tracks);
+        shuffle && subscription.queue.shuffle();
+        unlockQueue();
+
+        void subscription.processQueue();
+
+        return await interaction.followUp(`Enqueued **${tracks.length}** tracks from the playlist ${"`" + playlist.name + "`"}${shuffle ? ' and shuffled the queue' : ''}`)
+    }
+
+}
+
+export default playlistCommand;
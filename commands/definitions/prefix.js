@@ -0,0 +1,43 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { Permissions } from 'discord.js';
+import { Permission } from '../permissions.js';
+import { getPrefix, setPrefix } from '../prefix-commands.js';
+
+const prefixCommand = {
+
+    permission: Permission.Open,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('prefix')
+        .setDescription('Lets commands be used by sending messages like !play or !skip (only admins can change this)')
+        .addStringOption(option =>
+            option.setName('prefix')
+                .setDescription('What the messages start with, e.g ! (leave this empty to turn prefix commands off)')),
+
+    async execute(interaction) {
+
+        if (!interaction.inGuild())
+            return await interaction.reply("This command can only be used in a server");
+
+        const prefix = interaction.options.getString('prefix')?.trim();
+
+        if (!interaction.memberPermissions?.has(Permissions.FLAGS.ADMINISTRATOR)) {
+            const currentPrefix = getPrefix(interaction.guildId);
+            return await interaction.reply(currentPrefix ? "The prefix is `" + currentPrefix + "`. Only admins can change it" : "Prefix commands are off on this server. Only admins can turn them on");
+        }
+
+        if (!prefix) {
+            setPrefix(interaction.guildId, undefined);
+            return await interaction.reply("Turned prefix commands off");
+        }
+
+        if (prefix.length > 5 || /\s/.test(prefix))
+            return await interaction.reply("The prefix can be at most `5` characters long and can't have spaces");
+
+        setPrefix(interaction.guildId, prefix);
+
+        return await interaction.reply("Commands can now be used by sending messages like `" + prefix + "play <song>` or `" + prefix + "skip`");
+    }
+}
+
+export default prefixCommand;
@@ -0,0 +1,48 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { subscriptions, getOrCreateSubscription } from '../../music/subscription.js';
+import { takeMostRecentFromHistory } from '../../music/history.js';
+import { Permission } from '../permissions.js';
+import { isInteractionValidForMusic, ensureConnectionIsReady } from '../helpers.js';
+
+const previousCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('previous')
+        .setDescription('Goes back to the song that finished most recently. The current song plays again after it'),
+
+    async execute(interaction) {
+
+        await interaction.deferReply();
+
+        // Always call isInteractionValidForMusic before calling getOrCreateSubscription to make sure the fields that the subscription needs are defined
+        if (!isInteractionValidForMusic(interaction))
+            return await interaction.followUp('You must be a user and inside of a voice channel to use this command');
+
+        const existingSubscription = subscriptions.get(interaction.guildId);
+        if (existingSubscription?.audioPlayer.state.status === AudioPlayerStatus.Buffering)
+            return await interaction.followUp("Cannot go back while a track is loading")
+
+        // The track keeps the youtube_url it had when it last played, so spotify tracks won't need to be searched for again
+        const track = takeMostRecentFromHistory(interaction.guildId);
+        if (!track)
+            return await interaction.followUp("Nothing has finished playing on this server yet");
+
+        const subscription = getOrCreateSubscription(interaction.member.voice.channel, interaction.channel)
+
+        if (!await ensureConnectionIsReady(subscription))
+            return await interaction.followUp('Could not establish a voice connection within 15 seconds, please try again later');
+
+        track.subscription = subscription;
+
+        await interaction.followUp("Going back to `" + (track.youtube_title ?? track.spotify_title) + "`");
+
+        // Whatever is playing goes back into the queue behind it rather than into the history (see goBack)
+        await subscription.goBack(track);
+    }
+
+}
+
+export default previousCommand;
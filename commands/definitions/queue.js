@@ -0,0 +1,176 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { MessageEmbed, MessageActionRow, MessageButton, MessageSelectMenu } from 'discord.js';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { subscriptions } from '../../music/subscription.js';
+import { QueueMode } from '../../music/queue.js';
+import { Permission } from '../permissions.js';
+import { paginate } from '../helpers.js';
+
+const queueCommand = {
+
+    permission: Permission.Open,
+
+    // For prefix commands, e.g !q (see prefix-commands.js)
+    aliases: ['q'],
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('queue')
+        .setDescription('Displays the queue')
+        .addStringOption(option =>
+            option.setName('page')
+                .setDescription('The page of the queue you want to view')),
+
+    resultsPerPage: 10,
+
+    // Maps the message IDs of open /queue messages to { page, stopWatching }. Open messages are edited whenever the queue changes
+    // so nobody has to keep retyping /queue. We can only edit them for 15 minutes (that is how long discord lets us use an interaction), so we stop at 14
+    openViews: new Map(),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply({ content: "Not currently playing on this server", ephemeral: true })
+
+        subscription.lastTextChannel = interaction.channel;
+
+        // Wait for the mutex lock for our queue so we don't modify it concurrently. Also adds 'unlockQueueReply' to the interaction
+        await subscription.queue.acquireLock(interaction);
+
+        const { page, message } = queueCommand.createQueueMessage(subscription, interaction.options.getString('page'));
+
+        await interaction.unlockQueueReply({ ...message, ephemeral: true })
+
+        const reply = await interaction.fetchReply();
+        queueCommand.watch(reply.id, interaction, subscription, page);
+    },
+
+    /**
+     * Creates the queue embed for a page, with First, Previous, Next and Last buttons and a select menu to jump to a page
+     * 
+     * @returns { page, message } where 'page' is the page that is actually shown (the requested page is clamped to the pages that exist)
+     */
+    createQueueMessage(subscription, requestedPage) {
+
+        const queuedTracks = subscription.queue.getShallowClone();
+
+        if (queuedTracks.length === 0)
+            return { page: 0, message: { content: "The queue is currently empty", embeds: [], components: [] } };
+
+        const { page, highestPage, startIndex, pageItems } = paginate(queuedTracks, requestedPage, queueCommand.resultsPerPage);
+
+        let currIndex = startIndex;
+        let description = '';
+
+        // Spotify tracks don't know their duration until they are about to play
+        for (let track of pageItems) {
+            description += "`" + currIndex++ + "` " + "**" + (track.youtube_title || track.spotify_title) + "** " + "`" + (track.durationTimestamp ?? '--:--') + "`" + " requested by " + "`" + track.requestedByName + "`\n"
+        }
+
+        const embed = new MessageEmbed()
+            .setColor('#0099ff')
+            .setTitle(`Queue (${queuedTracks.length} songs${subscription.queue.mode === QueueMode.Fair ? ', taking turns between requesters' : ''})`)
+            .setDescription(description)
+            .setFooter(`Page ${page} of ${highestPage}`);
+
+        const { status } = subscription.audioPlayer.state;
+        if (status !== AudioPlayerStatus.Idle) {
+            const nowPlaying = subscription.nowPlaying();
+            embed.setAuthor(`Now Playing: ${nowPlaying.youtube_title ?? nowPlaying.spotify_title}`);
+        }
+
+        // Custom IDs look like 'queue:<action>:<page the message is showing>'. index.js sends them to handleComponent() below based on the 'queue' part.
+        // They have to be unique within a message, which is why the page is part of them
+        const buttons = new MessageActionRow().addComponents(
+            new MessageButton().setCustomId(`queue:first:${page}`).setLabel('First').setStyle('SECONDARY').setDisabled(page === 0),
+            new MessageButton().setCustomId(`queue:previous:${page}`).setLabel('Previous').setStyle('PRIMARY').setDisabled(page === 0),
+            new MessageButton().setCustomId(`queue:next:${page}`).setLabel('Next').setStyle('PRIMARY').setDisabled(page === highestPage),
+            new MessageButton().setCustomId(`queue:last:${page}`).setLabel('Last').setStyle('SECONDARY').setDisabled(page === highestPage),
+        );
+
+        const components = [buttons];
+
+        // Select menus can only have 25 options, so for huge queues we only offer the 25 pages around the current one
+        if (highestPage > 0) {
+            const firstOption = Math.max(0, Math.min(page - 12, highestPage - 24));
+            const lastOption = Math.min(highestPage, firstOption + 24);
+
+            const options = [];
+            for (let i = firstOption; i <= lastOption; i++)
+                options.push({ label: `Page ${i}`, description: `Songs ${i * queueCommand.resultsPerPage} to ${Math.min((i + 1) * queueCommand.resultsPerPage, queuedTracks.length) - 1}`, value: String(i), default: i === page });
+
+            components.push(new MessageActionRow().addComponents(
+                new MessageSelectMenu().setCustomId(`queue:select:${page}`).setPlaceholder('Jump to page').addOptions(options)
+            ));
+        }
+
+        return { page, message: { content: null, embeds: [embed], components } };
+    },
+
+    /**
+     * Starts refreshing an open /queue message whenever the queue changes (see openViews above)
+     */
+    watch(messageId, interaction, subscription, page) {
+
+        const openViews = queueCommand.openViews;
+
+        let refreshTimeout = null;
+
+        // The queue can change many times in a row (e.g a playlist being enqueued then shuffled), so the refreshes are debounced
+        const onQueueChange = () => {
+            if (refreshTimeout)
+                return;
+            refreshTimeout = setTimeout(async () => {
+                refreshTimeout = null;
+                const view = openViews.get(messageId);
+                if (!view)
+                    return;
+                const { page, message } = queueCommand.createQueueMessage(subscription, view.page);
+                view.page = page;
+                await interaction.editReply(message).catch(stopWatching);
+            }, 1e3);
+        };
+
+        const stopWatching = () => {
+            clearTimeout(refreshTimeout);
+            clearTimeout(expiryTimeout);
+            subscription.queue.off('change', onQueueChange);
+            openViews.delete(messageId);
+        };
+
+        const expiryTimeout = setTimeout(stopWatching, 14 * 60e3);
+
+        subscription.queue.on('change', onQueueChange);
+        openViews.set(messageId, { page, stopWatching });
+    },
+
+    // Called by index.js when one of the buttons or the select menu on a /queue message is used
+    async handleComponent(interaction) {
+
+        const [, action, currentPage] = interaction.customId.split(':');
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.update({ content: "Not currently playing on this server", embeds: [], components: [] });
+
+        let page = Number(currentPage);
+        action === 'first' && (page = 0);
+        action === 'previous' && (page -= 1);
+        action === 'next' && (page += 1);
+        action === 'last' && (page = Infinity);
+        action === 'select' && (page = Number(interaction.values[0]));
+
+        const { page: shownPage, message } = queueCommand.createQueueMessage(subscription, page);
+
+        // Remember the page so refreshes from queue changes don't send them back to the page they started on
+        const view = queueCommand.openViews.get(interaction.message.id);
+        view && (view.page = shownPage);
+
+        await interaction.update(message);
+    },
+
+}
+
+export default queueCommand;
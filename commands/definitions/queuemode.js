@@ -0,0 +1,54 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions } from '../../music/subscription.js';
+import { QueueMode } from '../../music/queue.js';
+import { getGuildSetting, setGuildSetting } from '../../storage/guild-settings.js';
+import { Permission } from '../permissions.js';
+
+const queuemodeCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('queuemode')
+        .setDescription('Plays songs in the order they were queued (fifo), or takes turns between who queued them (fair)')
+        .addStringOption(option =>
+            option.setName('mode')
+                .setDescription('The queue mode')
+                .setRequired(true)
+                .addChoice('fifo', QueueMode.FIFO)
+                .addChoice('fair', QueueMode.Fair)),
+
+    async execute(interaction) {
+
+        if (!interaction.inGuild())
+            return await interaction.reply("This command can only be used in a server");
+
+        const mode = interaction.options.getString('mode');
+
+        if (!Object.values(QueueMode).includes(mode))
+            return await interaction.reply("`mode` must be either `fifo` or `fair`");
+
+        if (getGuildSetting(interaction.guildId, 'queueMode', QueueMode.FIFO) === mode)
+            return await interaction.reply("The queue mode is already `" + mode + "`");
+
+        // The mode is saved for the guild so it sticks around after the bot leaves. If something is playing, its queue switches right away
+        setGuildSetting(interaction.guildId, 'queueMode', mode);
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (subscription) {
+            subscription.lastTextChannel = interaction.channel;
+
+            const unlockQueue = await subscription.queue.acquireLock();
+            subscription.queue.setMode(mode);
+            unlockQueue();
+        }
+
+        if (mode === QueueMode.Fair)
+            return await interaction.reply("The queue now takes turns between everyone who queued songs. Use /queue to see the new order")
+
+        return await interaction.reply("The queue now plays songs in the order they were queued (the current order of the queue was kept)")
+    }
+}
+
+export default queuemodeCommand;
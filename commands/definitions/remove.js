@@ -0,0 +1,62 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission, canModifyTrack } from '../permissions.js';
+
+const removeCommand = {
+
+    permission: Permission.RequesterOrDJ,
+
+    // For prefix commands, e.g !rm (see prefix-commands.js)
+    aliases: ['rm'],
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('remove')
+        .setDescription('Removes the specified index from the queue')
+        .addStringOption(option =>
+            option.setName('index')
+                .setDescription('The index being removed from the queue')
+                .setRequired(true)),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        // Wait for the mutex lock for our queue so we don't modify it concurrently. Also adds 'unlockQueueReply' to the interaction
+        const unlockQueue = await subscription.queue.acquireLock(interaction);
+
+        if (!interaction.options.getString('index'))
+            return await interaction.unlockQueueReply("A queue index must be specified for this command`");
+
+        const length = subscription.queue.length();
+
+        const index = Number(interaction.options.getString('index').trim())
+        if (Number.isNaN(index))
+            return await interaction.unlockQueueReply("`index` must be a number! To see indices, use /queue")
+
+        if (index < 0) {
+            return await interaction.unlockQueueReply("`index` too low. To see indices, use /queue")
+        }
+
+        if (index >= length) {
+            return await interaction.unlockQueueReply("`index` too high (the highest index in the queue is `" + (length - 1) + "`)")
+        }
+
+        const trackAtIndex = subscription.queue.get(index);
+
+        if (!canModifyTrack(interaction, trackAtIndex))
+            return await interaction.unlockQueueReply("Only DJs or `" + trackAtIndex.requestedByName + "` (who requested it) can remove `" + (trackAtIndex.youtube_title ?? trackAtIndex.spotify_title) + "`");
+
+        await interaction.reply('Removing the song at position `' + index + '` (`' + (trackAtIndex.youtube_title ?? trackAtIndex.spotify_title) + '`) from the queue')
+
+        subscription.queue.remove(index);
+        unlockQueue();
+    }
+
+}
+
+export default removeCommand;
@@ -0,0 +1,59 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+
+const replaceCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('replace')
+        .setDescription('Replaces the currently playing song with the song at the given queue index')
+        .addStringOption(option =>
+            option.setName('index')
+                .setDescription('The index being swapped with the current song')
+                .setRequired(true)),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        // Wait for the mutex lock for our queue so we don't modify it concurrently. Also adds 'unlockQueueReply' to the interaction
+        const unlockQueue = await subscription.queue.acquireLock(interaction);
+
+        if (!interaction.options.getString('index'))
+            return await interaction.unlockQueueReply("A queue `index` must be specified for this command`");
+
+        const index = Number(interaction.options.getString('index').trim())
+        if (Number.isNaN(index))
+            return await interaction.unlockQueueReply("`index` must be a number! To see indices, type /queue")
+
+        if (index <= 0) {
+            return await interaction.unlockQueueReply("Replacing with index `0` is the same as /skip. Just use /skip")
+        }
+
+        const length = subscription.queue.length();
+
+        if (index >= length) {
+            return await interaction.unlockQueueReply("`index` too high (the highest index in the queue is `" + (length - 1) + "`)")
+        }
+
+        const trackAtIndex = subscription.queue.get(index);
+
+        // Take the song out of its position and put it at index 0, pushing everything else up by 1 index
+        const [removed] = subscription.queue.splice(index, 1);
+        subscription.queue.splice(0, 0, removed);
+        unlockQueue();
+
+        interaction.reply('Replacing the currently playing song with the one at index `' + index + '` (`' + (trackAtIndex.youtube_title ?? trackAtIndex.spotify_title) + '`)')
+
+        subscription.skip();
+    }
+}
+
+export default replaceCommand;
@@ -0,0 +1,99 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { GuildMember, MessageActionRow, MessageSelectMenu } from 'discord.js';
+import { Track } from '../../music/track.js';
+import { getOrCreateSubscription } from '../../music/subscription.js';
+import { searchYoutube } from '../../api-functions/youtube-functions.js';
+import { Permission, getCommandPermission, isDJ } from '../permissions.js';
+import { isInteractionValidForMusic, getRequester, ensureConnectionIsReady } from '../helpers.js';
+import playCommand from './play.js';
+import commands from '../commands.js';
+
+const searchCommand = {
+
+    permission: Permission.Open,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('search')
+        .setDescription('Searches youtube and lets you pick which video to enqueue')
+        .addStringOption(option =>
+            option.setName('query')
+                .setDescription('What to search for')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('position')
+                .setDescription('Where the video goes (the end of the queue by default)')
+                .addChoice('end', 'end')
+                .addChoice('next', 'next')
+                .addChoice('now', 'now')),
+
+    // How many results are shown, and how long they have to pick one
+    resultCount: 10,
+    pickTimeout: 60e3,
+
+    async execute(interaction) {
+
+        const query = interaction.options.getString('query').trim();
+        const position = interaction.options.getString('position') ?? 'end';
+
+        // 'next' and 'now' are the same as /next and /now, so they need the same permission
+        if (position !== 'end' && interaction.member instanceof GuildMember && getCommandPermission(interaction.guildId, position, commands[position]) === Permission.DJ && !isDJ(interaction.member))
+            return await interaction.reply({ content: "Only DJs can use `/" + position + "` on this server, so you can only add songs to the end of the queue", ephemeral: true });
+
+        // Only they can see the results, so nobody else can pick for them
+        await interaction.deferReply({ ephemeral: true });
+
+        // Always call isInteractionValidForMusic before calling getOrCreateSubscription to make sure the fields that the subscription needs are defined
+        if (!isInteractionValidForMusic(interaction))
+            return await interaction.editReply('You must be a user and inside of a voice channel to use this command');
+
+        const searchResults = (await searchYoutube({ songName: query }))?.slice(0, searchCommand.resultCount);
+
+        if (!searchResults || searchResults.length === 0)
+            return await interaction.editReply('Could not find any videos based on that search. Try using a less specific search');
+
+        // Select menu labels can only be 100 characters long
+        const options = searchResults.map((result, i) => ({
+            label: result.youtube_title.length > 100 ? result.youtube_title.slice(0, 97) + '...' : result.youtube_title,
+            description: result.durationTimestamp,
+            value: String(i),
+        }));
+
+        // Custom IDs start with the command name like every other component. There is no handleComponent for /search since the pick is awaited below
+        const reply = await interaction.editReply({
+            content: "Pick a video for `" + query + "`",
+            components: [new MessageActionRow().addComponents(
+                new MessageSelectMenu().setCustomId(`search:pick:${interaction.id}`).setPlaceholder('Pick a video').addOptions(options)
+            )],
+        });
+
+        const pick = await reply.awaitMessageComponent({
+            componentType: 'SELECT_MENU',
+            filter: (component) => component.user.id === interaction.user.id,
+            time: searchCommand.pickTimeout,
+        }).catch(() => null);
+
+        if (!pick)
+            return await interaction.editReply({ content: "Nothing was picked for `" + query + "` within a minute, so nothing was enqueued", components: [] });
+
+        const result = searchResults[Number(pick.values[0])];
+        await pick.update({ content: "Picked `" + result.youtube_title + "`", components: [] });
+
+        // They could have left the voice channel while picking
+        if (!isInteractionValidForMusic(interaction))
+            return await pick.followUp({ content: 'You must be a user and inside of a voice channel to use this command', ephemeral: true });
+
+        const subscription = getOrCreateSubscription(interaction.member.voice.channel, interaction.channel);
+
+        if (!await ensureConnectionIsReady(subscription))
+            return await pick.followUp('Could not establish a voice connection within 15 seconds, please try again later');
+
+        const track = Track.fromSearchResult({ ...result, ...getRequester(interaction.member) });
+        track.subscription = subscription;
+
+        // The picker is only visible to them, so the follow up saying where it was enqueued is what everyone else sees
+        return await playCommand.enqueueYoutubeTrack(track, subscription, pick, position !== 'end', position === 'now');
+    }
+
+}
+
+export default searchCommand;
@@ -0,0 +1,56 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { timestampToMs } from '../../music/track.js';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+
+const seekCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('seek')
+        .setDescription('Jumps to a point in the current song')
+        .addStringOption(option =>
+            option.setName('time')
+                .setDescription('Where to jump to, like 1:30 or 01:02:03')
+                .setRequired(true)),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        const { status } = subscription.audioPlayer.state;
+        if (status === AudioPlayerStatus.Idle || status === AudioPlayerStatus.Buffering)
+            return await interaction.reply("Cannot seek since a track is not playing yet")
+
+        const time = interaction.options.getString('time');
+        const offset = timestampToMs(time);
+        if (Number.isNaN(offset))
+            return await interaction.reply("`time` must be a timestamp like `1:30` or `01:02:03`")
+
+        const track = subscription.nowPlaying();
+        const duration = timestampToMs(track.durationTimestamp);
+        if (offset >= duration)
+            return await interaction.reply("`time` is past the end of the song (it is `" + track.durationTimestamp + "` long)")
+
+        // Restarting the stream can take a couple of seconds, especially the further into the song we jump
+        await interaction.deferReply();
+
+        try {
+            await subscription.seek(offset);
+        } catch (error) {
+            subscription.log.error('Seeking ran into an error', { err: error, offset });
+            return await interaction.followUp("Could not jump to `" + time + "`, try again later")
+        }
+
+        return await interaction.followUp("Jumped to `" + time + "`")
+    }
+}
+
+export default seekCommand;
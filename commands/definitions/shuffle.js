@@ -0,0 +1,35 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+import { createPanelInteraction } from '../helpers.js';
+
+const shuffleCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('shuffle')
+        .setDescription('Shuffles the queue'),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        // Wait for the mutex lock for our queue so we don't modify it concurrently. Also adds 'unlockQueueReply' to the interaction
+        await subscription.queue.acquireLock(interaction);
+        subscription.queue.shuffle();
+        return await interaction.unlockQueueReply("Shuffled!")
+    },
+
+    // The 'Shuffle' button on the control panel
+    async handleComponent(interaction) {
+        return await shuffleCommand.execute(createPanelInteraction(interaction));
+    }
+}
+
+export default shuffleCommand;
@@ -0,0 +1,58 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission, canModifyTrack } from '../permissions.js';
+import { createPanelInteraction } from '../helpers.js';
+
+const skipCommand = {
+
+    permission: Permission.RequesterOrDJ,
+
+    // For prefix commands, e.g !s (see prefix-commands.js)
+    aliases: ['s'],
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('skip')
+        .setDescription('Skips the current song (or votes to skip it, if you are not a DJ and did not request it)'),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        // If it is currently loading a track.. 
+        const { status } = subscription.audioPlayer.state;
+        if (status === AudioPlayerStatus.Idle || status === AudioPlayerStatus.Buffering)
+            return await interaction.reply("Cannot skip since a track is not playing yet")
+
+        const skipping = subscription.nowPlaying();
+
+        // Everyone else votes to skip instead (see MusicSubscription.voteSkip)
+        if (!canModifyTrack(interaction, skipping)) {
+
+            if (interaction.member.voice.channelId !== subscription.voiceConnection.joinConfig.channelId)
+                return await interaction.reply("You must be in the same voice channel as me to vote to skip");
+
+            const { votes, required, skipped } = subscription.voteSkip(interaction.member.id);
+
+            if (skipped)
+                return await interaction.reply("Enough votes (`" + votes + "/" + required + "`), skipping `" + skipping.youtube_title + "`");
+
+            return await interaction.reply("Voted to skip `" + skipping.youtube_title + "` (`" + votes + "/" + required + "` votes)");
+        }
+
+        await interaction.reply("Skipping `" + skipping.youtube_title + "`")
+        return subscription.skip();
+    },
+
+    // The 'Skip' button on the control panel
+    async handleComponent(interaction) {
+        return await skipCommand.execute(createPanelInteraction(interaction));
+    }
+}
+
+export default skipCommand;
@@ -0,0 +1,34 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+import { createPanelInteraction } from '../helpers.js';
+
+const stopCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('stop')
+        .setDescription('Stops playing on this server. This will cause the bot to leave and the queue to be lost'),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        subscription.terminate();
+
+        return await interaction.reply("Stopped playing on this server")
+    },
+
+    // The 'Stop' button on the control panel
+    async handleComponent(interaction) {
+        return await stopCommand.execute(createPanelInteraction(interaction));
+    }
+}
+
+export default stopCommand;
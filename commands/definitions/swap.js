@@ -0,0 +1,73 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+
+const swapCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('swap')
+        .setDescription('Swaps the position of 2 songs in the queue')
+        .addStringOption(option =>
+            option.setName('index1')
+                .setDescription('The first index being swapped')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('index2')
+                .setDescription('The second index being swapped')),
+
+    async execute(interaction, overrideIndex1, overrideIndex2) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        // Wait for the mutex lock for our queue so we don't modify it concurrently. Also adds 'unlockQueueReply' to the interaction
+        await subscription.queue.acquireLock(interaction);
+
+        const length = subscription.queue.length();
+
+        if (length < 2)
+            return await interaction.unlockQueueReply("If you swap a melon with a melon what do you get? A melon");
+
+        if (!interaction.options.getString('index1'))
+            return await interaction.unlockQueueReply("At least 1 index must be supplied. If only one is supplied, it will swap with index `0`");
+
+        // If the command has an argument, they are not using /play in order to unpause, but rather to queue up a new track
+        let index1 = overrideIndex1 ?? Number(interaction.options.getString('index1').trim());
+        if (Number.isNaN(index1))
+            return await interaction.unlockQueueReply("`index1` must be a number! To see indices, type /queue")
+
+        let index2 = overrideIndex2 ?? Number(interaction.options.getString('index2')?.trim() ?? 0);
+        if (Number.isNaN(index2))
+            return await interaction.unlockQueueReply("`index2` must be a number! To see indices, type /queue")
+
+        if (index1 >= length)
+            index1 = length - 1;
+
+        if (index2 >= length)
+            index2 = length - 1;
+            
+        if (index1 < 0)
+            return await interaction.unlockQueueReply("`index1` is too low (cannot be below `0`)")
+
+        if (index2 < 0)
+            return await interaction.unlockQueueReply("`index2` is too low (cannot be below `0`)")
+
+        if (index1 === index2)
+            return await interaction.unlockQueueReply("If you swap a melon with a melon what do you get? A melon");
+
+        if (!subscription.queue.canSwap(index1, index2))
+            return await interaction.unlockQueueReply("Those songs were queued by different people, and in fair mode everyone's songs stay in their own turns. Use /queuemode to switch to FIFO if you want to swap them");
+
+        subscription.queue.swap(index1, index2)
+
+        return await interaction.unlockQueueReply("Swapped positions `" + index1 + "` and `" + index2 + "` in the queue")
+    }
+}
+
+export default swapCommand;
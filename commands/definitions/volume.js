@@ -0,0 +1,53 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { subscriptions } from '../../music/subscription.js';
+import { Permission } from '../permissions.js';
+import { createPanelInteraction } from '../helpers.js';
+
+const volumeCommand = {
+
+    permission: Permission.DJ,
+
+    commandBuilder: new SlashCommandBuilder()
+        .setName('volume')
+        .setDescription('Sets the volume (0 to 200). The volume is remembered for this server')
+        .addStringOption(option =>
+            option.setName('volume')
+                .setDescription('The new volume as a percentage. Leave this out to see the current volume')),
+
+    async execute(interaction) {
+
+        const subscription = subscriptions.get(interaction.guildId);
+
+        if (!subscription)
+            return await interaction.reply("Not currently playing on this server");
+
+        subscription.lastTextChannel = interaction.channel;
+
+        if (!interaction.options.getString('volume'))
+            return await interaction.reply("The volume is currently `" + subscription.volume + "%`");
+
+        const volume = Number(interaction.options.getString('volume').trim().replace(/%$/, ''));
+        if (Number.isNaN(volume))
+            return await interaction.reply("`volume` must be a number!")
+
+        if (volume < 0 || volume > 200)
+            return await interaction.reply("`volume` must be between `0` and `200`")
+
+        subscription.setVolume(volume);
+
+        return await interaction.reply("Set the volume to `" + volume + "%`")
+    },
+
+    // The 'Volume -' and 'Volume +' buttons on the control panel ('volume:down' and 'volume:up') change the volume by 10%
+    async handleComponent(interaction) {
+        const [, direction] = interaction.customId.split(':');
+        const subscription = subscriptions.get(interaction.guildId);
+
+        const options = {};
+        subscription && (options.volume = String(Math.min(200, Math.max(0, subscription.volume + (direction === 'up' ? 10 : -10)))));
+
+        return await volumeCommand.execute(createPanelInteraction(interaction, options));
+    }
+}
+
+export default volumeCommand;
@@ -1,33 +1,45 @@
-import { REST } from '@discordjs/rest';
-import { Routes } from 'discord-api-types/v9';
+import { getDeploymentConfig, getDeploymentTargets, createRest, diffCommands, describeDiff, isDiffEmpty } from './deployment.js';
 
 export * from '../configure-environment.js';
 
-import commands from './commands.js'
+import { loadCommands } from './commands.js'
 
-// This section of code loads up the command dictionary that is exported from commands.js and reads
-// each key (same as command name) and pushes its corresponding builder as JSON to be deployed below
+// Deploys the commands to wherever deploy-config.json says (see deployment.js). Usage:
+//
+//   node commands/deploy-commands.js            registers the local commands, replacing (and so removing) any that were registered before
+//   node commands/deploy-commands.js --dry-run  only shows what would be added, changed, and removed
 
-const commandBuilders = [];
+const dryRun = process.argv.includes('--dry-run');
 
-for (let key in commands)
-	commandBuilders.push(commands[key].commandBuilder.toJSON())
+// This section of code loads up the command dictionary from commands.js and turns each command's builder into the JSON that discord expects
 
-// This section of code does the actual deploying
+const commands = await loadCommands();
+const commandBuilders = Object.values(commands).map(command => command.commandBuilder.toJSON());
 
-const clientId = process.env.CLIENT_ID;
-const guildId = process.env.DEV_GUILD_ID;
-const token = process.env.BOT_TOKEN;
+// This section of code does the actual deploying. Putting the whole list replaces everything registered on that target, which is how stale
+// commands (ones that were deleted or renamed locally) get removed
 
-const rest = new REST({ version: '9' }).setToken(token);
-rest.put(Routes.applicationGuildCommands(clientId, 721203380059373588n), { body: commandBuilders })
-	.then(() => console.log('Successfully registered application commands.'))
-	.catch(console.error);
+const rest = createRest();
+const targets = getDeploymentTargets(getDeploymentConfig());
 
-rest.put(Routes.applicationGuildCommands(clientId, 924083165612613672n), { body: commandBuilders })
-	.then(() => console.log('Successfully registered application commands.'))
-	.catch(console.error);
+if (targets.length === 0)
+	console.log('There is nowhere to deploy to. Add guild IDs to deploy-config.json (or set DEV_GUILD_ID), or change the scope to global');
 
-rest.put(Routes.applicationGuildCommands(clientId, guildId), { body: commandBuilders })
-	.then(() => console.log('Successfully registered application commands.'))
-	.catch(console.error);
\ No newline at end of file
+for (let target of targets) {
+	try {
+		const diff = diffCommands(commandBuilders, await rest.get(target.route));
+		console.log(`${target.name}: ${describeDiff(diff)}`);
+
+		if (dryRun || isDiffEmpty(diff))
+			continue;
+
+		await rest.put(target.route, { body: commandBuilders });
+		console.log(`${target.name}: successfully registered ${commandBuilders.length} application commands`);
+	}
+	catch (err) {
+		console.log(`${target.name}: could not deploy the commands`, err);
+		process.exitCode = 1;
+	}
+}
+
+dryRun && console.log('This was a dry run, nothing was changed');
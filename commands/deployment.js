@@ -0,0 +1,122 @@
+import { readFileSync } from 'node:fs';
+import { REST } from '@discordjs/rest';
+import { Routes } from 'discord-api-types/v9';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('deployment');
+
+/**
+ * Where the commands get deployed is configured in deploy-config.json:
+ *
+ * - scope: 'guild' registers the commands on each guild in 'guildIds' (changes show up right away, which is nice while working on the bot),
+ *   'global' registers them once for every guild the bot is in (discord can take up to an hour to show changes)
+ * - guildIds: the guilds to deploy to when the scope is 'guild'. DEV_GUILD_ID (from the .env file) is always added to them if it is set
+ *
+ * The COMMANDS_SCOPE and COMMANDS_GUILD_IDS (comma separated) environment variables override the file, so a deployment can be changed without
+ * touching it
+ */
+export function getDeploymentConfig() {
+    const config = JSON.parse(readFileSync(new URL('./deploy-config.json', import.meta.url), 'utf8'));
+
+    const scope = process.env.COMMANDS_SCOPE ?? config.scope ?? 'guild';
+    const guildIds = process.env.COMMANDS_GUILD_IDS?.split(',').map(id => id.trim()).filter(id => id) ?? config.guildIds ?? [];
+
+    process.env.DEV_GUILD_ID && !guildIds.includes(process.env.DEV_GUILD_ID) && guildIds.push(process.env.DEV_GUILD_ID);
+
+    if (scope !== 'guild' && scope !== 'global')
+        throw new Error(`The command deployment scope must be 'guild' or 'global', not '${scope}'`);
+
+    return { scope, guildIds };
+}
+
+/**
+ * @returns the places the commands are registered according to the config, as { name, route } where 'route' is the discord API route for that
+ * place's commands (e.g 'guild 721203380059373588' and /applications/CLIENT_ID/guilds/721203380059373588/commands)
+ */
+export function getDeploymentTargets({ scope, guildIds }, clientId = process.env.CLIENT_ID) {
+    if (scope === 'global')
+        return [{ name: 'global', route: Routes.applicationCommands(clientId) }];
+
+    return guildIds.map(guildId => ({ name: `guild ${guildId}`, route: Routes.applicationGuildCommands(clientId, guildId) }));
+}
+
+export function createRest(token = process.env.BOT_TOKEN) {
+    return new REST({ version: '9' }).setToken(token);
+}
+
+/**
+ * Compares the commands we have locally with the ones that are registered on discord
+ *
+ * @param {object[]} localCommands the output of commandBuilder.toJSON() for every local command
+ * @param {object[]} deployedCommands the commands discord returned for a deployment target
+ * @returns {{ added: string[], changed: string[], removed: string[] }} the names of the commands that would be added, changed, and removed by deploying
+ */
+export function diffCommands(localCommands, deployedCommands) {
+    const deployed = new Map(deployedCommands.map(command => [command.name, command]));
+    const local = new Map(localCommands.map(command => [command.name, command]));
+
+    return {
+        added: [...local.keys()].filter(name => !deployed.has(name)),
+        changed: [...local.keys()].filter(name => deployed.has(name) && normalizeCommand(local.get(name)) !== normalizeCommand(deployed.get(name))),
+        removed: [...deployed.keys()].filter(name => !local.has(name)),
+    };
+}
+
+export function isDiffEmpty({ added, changed, removed }) {
+    return added.length === 0 && changed.length === 0 && removed.length === 0;
+}
+
+// e.g "2 added (search, queuemode), 1 changed (play)"
+export function describeDiff(diff) {
+    if (isDiffEmpty(diff))
+        return 'up to date';
+
+    return Object.entries(diff)
+        .filter(([, names]) => names.length > 0)
+        .map(([kind, names]) => `${names.length} ${kind} (${names.join(', ')})`)
+        .join(', ');
+}
+
+/**
+ * Logs a warning for every deployment target whose registered commands don't match the local ones, so a forgotten deploy doesn't go
+ * unnoticed. Called by index.js once the bot is ready. Failing to check is only logged since the bot works either way
+ */
+export async function warnIfCommandsAreOutdated(commands) {
+    const localCommands = Object.values(commands).map(command => command.commandBuilder.toJSON());
+    const rest = createRest();
+
+    try {
+        for (let target of getDeploymentTargets(getDeploymentConfig())) {
+            const diff = diffCommands(localCommands, await rest.get(target.route));
+
+            if (!isDiffEmpty(diff))
+                log.warn(`The commands deployed to ${target.name} are different from the local ones. Run 'node commands/deploy-commands.js' to update them`, { diff: describeDiff(diff) });
+        }
+    }
+    catch (err) {
+        log.warn('Could not check whether the deployed commands are up to date', { err });
+    }
+}
+
+// Discord fills in defaults (and ids, versions, etc) for what we leave out, so both sides are reduced to the parts we set before comparing them
+function normalizeCommand(command) {
+    return JSON.stringify({
+        name: command.name,
+        description: command.description,
+        default_permission: command.default_permission ?? true,
+        options: (command.options ?? []).map(normalizeOption),
+    });
+}
+
+function normalizeOption(option) {
+    return {
+        type: option.type,
+        name: option.name,
+        description: option.description,
+        required: option.required ?? false,
+        autocomplete: option.autocomplete ?? false,
+        choices: (option.choices ?? []).map(({ name, value }) => ({ name, value })),
+        channel_types: option.channel_types ?? [],
+        options: (option.options ?? []).map(normalizeOption),
+    };
+}
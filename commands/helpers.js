@@ -0,0 +1,48 @@
+import { GuildMember } from 'discord.js';
+import { entersState, VoiceConnectionStatus } from '@discordjs/voice';
+
+// Things that several commands (see the definitions folder) need
+
+// In order for an interaction to be valid for music playing, it must be made by a guild member who is inside of a voice channel
+export const isInteractionValidForMusic = (interaction) => (interaction && interaction.member instanceof GuildMember && interaction?.member?.voice?.channel?.id && interaction.channel)
+
+// Tracks remember who queued them by user ID (for permissions) and by nickname (for showing it)
+export const getRequester = (member) => ({ requestedBy: member.id, requestedByName: member.nickname || member.user.username })
+
+export const ensureConnectionIsReady = async (subscription) => {
+    try {
+        await entersState(subscription.voiceConnection, VoiceConnectionStatus.Ready, 15_000);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Splits a list up into pages for commands that display lists (e.g /history). 'page' is what the user typed, and is clamped to the pages that exist
+export const paginate = (items, page, resultsPerPage = 10) => {
+    page = Number(page);
+    !page && (page = 0);
+    page < 0 && (page = 0)
+
+    const highestPage = Math.max(Math.ceil(items.length / resultsPerPage) - 1, 0);
+    page > highestPage && (page = highestPage);
+
+    const startIndex = page * resultsPerPage;
+    return { page, highestPage, startIndex, pageItems: items.slice(startIndex, startIndex + resultsPerPage) };
+}
+
+// Buttons on the control panel (see control-panel.js) run the same code as the slash commands. This wraps the button interaction so that the command
+// can read the options it expects, and so that its replies are only shown to whoever pressed the button (the panel itself already shows what changed)
+export const createPanelInteraction = (interaction, options = {}) => {
+    const ephemeral = (message) => typeof message === 'string' ? { content: message, ephemeral: true } : { ...message, ephemeral: true };
+
+    const panelInteraction = Object.create(interaction);
+    panelInteraction.options = {
+        getString: (name) => options[name] ?? null,
+        getBoolean: (name) => options[name] ?? null,
+    };
+    panelInteraction.reply = (message) => interaction.reply(ephemeral(message));
+    panelInteraction.deferReply = () => interaction.deferReply({ ephemeral: true });
+    panelInteraction.followUp = (message) => interaction.followUp(ephemeral(message));
+    return panelInteraction;
+}
@@ -0,0 +1,107 @@
+import { GuildMember, Permissions } from 'discord.js'
+import { getGuildSetting, setGuildSetting } from '../storage/guild-settings.js';
+
+/**
+ * Who is allowed to use a command. Every command (see the definitions folder) has a 'permission' (commands without one are open), and admins can
+ * change it per guild with /permissions
+ *
+ * - Open: anyone can use it
+ * - DJ: only DJs can use it (see isDJ below)
+ * - RequesterOrDJ: DJs can use it on any track, everyone else only on tracks they queued themselves (e.g /skip, /remove). Since only the
+ *   command knows which track it is about to touch, the command itself checks this with canModifyTrack() once it has the queue lock
+ */
+export const Permission = {
+    Open: 'open',
+    DJ: 'dj',
+    RequesterOrDJ: 'requester',
+}
+
+/**
+ * @returns the ID of the guild's DJ role, or undefined if the admins haven't picked one
+ */
+export function getDJRole(guildId) {
+    return getGuildSetting(guildId, 'djRole');
+}
+
+/**
+ * @param {string|undefined} roleId the new DJ role. undefined removes it (which makes everyone a DJ again)
+ */
+export function setDJRole(guildId, roleId) {
+    setGuildSetting(guildId, 'djRole', roleId);
+}
+
+/**
+ * Admins are always DJs. Until the admins of a guild pick a DJ role everyone is a DJ, so the bot works the same as it always has on servers
+ * that don't care about permissions
+ *
+ * @param {import('discord.js').GuildMember} member
+ */
+export function isDJ(member) {
+    if (member.permissions.has(Permissions.FLAGS.ADMINISTRATOR))
+        return true;
+
+    const djRole = getDJRole(member.guild.id);
+    return !djRole || member.roles.cache.has(djRole);
+}
+
+/**
+ * @returns the permission a command has on a guild (what the admins set it to with /permissions, or the command's default)
+ */
+export function getCommandPermission(guildId, commandName, command) {
+    return getGuildSetting(guildId, 'commandPermissions', {})[commandName] ?? command.permission ?? Permission.Open;
+}
+
+/**
+ * @param {Permission|undefined} permission the new permission. undefined goes back to the command's default
+ */
+export function setCommandPermission(guildId, commandName, permission) {
+    const commandPermissions = { ...getGuildSetting(guildId, 'commandPermissions', {}) };
+
+    if (permission === undefined)
+        delete commandPermissions[commandName];
+    else
+        commandPermissions[commandName] = permission;
+
+    setGuildSetting(guildId, 'commandPermissions', commandPermissions);
+}
+
+/**
+ * Called by index.js before a command (or one of its buttons) runs. If they are not allowed to use it, they are told why and the command doesn't run.
+ * For RequesterOrDJ commands, this sets 'onlyOwnTracks' on the interaction for canModifyTrack() to use
+ *
+ * @returns true if the command is allowed to run
+ */
+export async function ensurePermission(interaction, commandName, command) {
+
+    // Direct messages and such. The commands themselves already tell them they need to be in a server
+    if (!(interaction.member instanceof GuildMember))
+        return true;
+
+    const permission = getCommandPermission(interaction.guildId, commandName, command);
+    const dj = isDJ(interaction.member);
+
+    interaction.onlyOwnTracks = permission === Permission.RequesterOrDJ && !dj;
+
+    if (permission !== Permission.DJ || dj)
+        return true;
+
+    await interaction.reply({ content: "Only DJs can use `/" + commandName + "` on this server (" + describeDJs(interaction.guildId) + ")", ephemeral: true });
+    return false;
+}
+
+/**
+ * For RequesterOrDJ commands (see ensurePermission). If the track is in the queue, call this with the queue locked so it can't move in between
+ *
+ * @returns true if the user of this interaction is allowed to skip, remove, etc this track
+ */
+export function canModifyTrack(interaction, track) {
+    return !interaction.onlyOwnTracks || track.requestedBy === interaction.member.id;
+}
+
+/**
+ * @returns who counts as a DJ on a guild, e.g "admins and anyone with the <@&ROLE_ID> role"
+ */
+export function describeDJs(guildId) {
+    const djRole = getDJRole(guildId);
+    return djRole ? `admins and anyone with the <@&${djRole}> role` : 'everyone, since no DJ role has been picked';
+}
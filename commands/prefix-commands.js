@@ -0,0 +1,233 @@
+import { ApplicationCommandOptionType } from 'discord-api-types/v9';
+import { getGuildSetting, setGuildSetting } from '../storage/guild-settings.js';
+import { ensurePermission } from './permissions.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('prefix-commands');
+
+/**
+ * Prefix commands let people use the bot by sending a normal message, e.g "!play never gonna give you up", "!skip" or "!q 2", for clients where slash
+ * commands are awkward. They are off until an admin picks a prefix for the guild with /prefix.
+ *
+ * A message is turned into the same options the slash command would have, and the command's execute function is called with a PrefixInteraction,
+ * which imitates the parts of a CommandInteraction that the commands use (reply, deferReply, followUp, editReply, options, etc). Commands can
+ * also list 'aliases' (e.g 'q' for queue)
+ */
+export function getPrefix(guildId) {
+    return getGuildSetting(guildId, 'prefix');
+}
+
+/**
+ * @param {string|undefined} prefix the new prefix. undefined turns prefix commands off
+ */
+export function setPrefix(guildId, prefix) {
+    setGuildSetting(guildId, 'prefix', prefix);
+}
+
+/**
+ * Called by index.js for every message. Messages that don't start with the guild's prefix, or that don't name one of our commands, are ignored
+ * since other bots often use the same prefixes
+ *
+ * @param {import('discord.js').Message} message
+ * @param {Object} commands the commands dictionary from commands.js
+ */
+export async function handlePrefixCommand(message, commands) {
+    if (message.author.bot || !message.inGuild())
+        return;
+
+    const prefix = getPrefix(message.guildId);
+    if (!prefix || !message.content.startsWith(prefix))
+        return;
+
+    // Everything is inside of here, even the usage replies, since replying fails if the bot isn't allowed to send messages in the channel
+    // (and index.js doesn't catch anything)
+    let commandName;
+    try {
+        const [commandWord, ...words] = message.content.slice(prefix.length).trim().split(/\s+/);
+
+        commandName = Object.keys(commands).find(name => name === commandWord.toLowerCase() || commands[name].aliases?.includes(commandWord.toLowerCase()));
+        if (!commandName)
+            return;
+
+        const command = commands[commandName];
+        let optionDefinitions = command.commandBuilder.toJSON().options;
+        let subcommand = null;
+
+        // Commands with subcommands (e.g /playlist) take the subcommand as their first word, e.g "!playlist load chill"
+        if (optionDefinitions.some(option => option.type === ApplicationCommandOptionType.Subcommand)) {
+            const subcommandDefinition = optionDefinitions.find(option => option.name === words[0]?.toLowerCase());
+
+            if (!subcommandDefinition)
+                return await message.reply(`Usage: ${"`" + prefix + commandName + " <" + optionDefinitions.map(option => option.name).join('|') + ">`"}`);
+
+            subcommand = subcommandDefinition.name;
+            optionDefinitions = subcommandDefinition.options ?? [];
+            words.shift();
+        }
+
+        const options = parseOptions(message, optionDefinitions, words);
+
+        const missingOption = optionDefinitions.find(option => option.required && options[option.name] === undefined);
+        if (missingOption) {
+            const usage = optionDefinitions.map(option => option.required ? `<${option.name}>` : `[${option.name}]`).join(' ');
+            return await message.reply(`Usage: ${"`" + prefix + commandName + (subcommand ? ' ' + subcommand : '') + ' ' + usage + "`"}`);
+        }
+
+        const interaction = new PrefixInteraction(message, commandName, subcommand, options);
+
+        if (await ensurePermission(interaction, commandName, command))
+            await command.execute(interaction);
+    }
+    catch (err) {
+        log.error('A prefix command ran into an error', { guildId: message.guildId, command: commandName, content: message.content, err });
+    }
+}
+
+/**
+ * Turns the words after the command into option values. Options can be given as name:value (e.g "!search never gonna position:next"), the rest
+ * are filled in order with one word each, except for the last option that takes any text (like the song of /play), which gets all of the words
+ * that are left. Options after it (e.g the 'shuffle' of /play) are only taken from the end of the message if the last word makes sense for them
+ *
+ * @returns an object mapping option names to their values
+ */
+function parseOptions(message, optionDefinitions, words) {
+    const options = {};
+
+    words = words.filter(word => {
+        const [, name, text] = word.match(/^([a-z0-9_-]+):(.+)$/i) ?? [];
+        const definition = optionDefinitions.find(option => option.name === name?.toLowerCase());
+        const value = definition && parseValue(message, definition, text);
+
+        if (value === undefined)
+            return true;
+
+        options[definition.name] = value;
+        return false;
+    });
+
+    const remaining = optionDefinitions.filter(option => !(option.name in options));
+    const isFreeText = (option) => option.type === ApplicationCommandOptionType.String && !option.choices?.length;
+
+    let freeTextIndex = -1;
+    remaining.forEach((option, i) => isFreeText(option) && (freeTextIndex = i));
+
+    const before = freeTextIndex === -1 ? remaining : remaining.slice(0, freeTextIndex);
+    const after = freeTextIndex === -1 ? [] : remaining.slice(freeTextIndex + 1);
+
+    for (let option of before) {
+        const value = words.length > 0 ? parseValue(message, option, words[0]) : undefined;
+        if (value !== undefined) {
+            options[option.name] = value;
+            words.shift();
+        }
+    }
+
+    for (let option of [...after].reverse()) {
+        const value = words.length > 0 ? parseValue(message, option, words[words.length - 1]) : undefined;
+        if (value !== undefined) {
+            options[option.name] = value;
+            words.pop();
+        }
+    }
+
+    freeTextIndex !== -1 && words.length > 0 && (options[remaining[freeTextIndex].name] = words.join(' '));
+
+    return options;
+}
+
+// Returns the value of a single option, or undefined if the text doesn't fit the option (e.g 'maybe' for a boolean)
+function parseValue(message, option, text) {
+    if (option.type === ApplicationCommandOptionType.Boolean) {
+        if (/^(true|yes|on)$/i.test(text))
+            return true;
+        if (/^(false|no|off)$/i.test(text))
+            return false;
+        return undefined;
+    }
+
+    // e.g <@&ROLE_ID>, or just the ID
+    if (option.type === ApplicationCommandOptionType.Role)
+        return message.guild.roles.cache.get(text.match(/^(?:<@&)?(\d+)>?$/)?.[1]);
+
+    if (option.choices?.length)
+        return option.choices.find(choice => String(choice.value).toLowerCase() === text.toLowerCase() || choice.name.toLowerCase() === text.toLowerCase())?.value;
+
+    return text;
+}
+
+/**
+ * Imitates a CommandInteraction for a prefix command message. Replies are sent as replies to the message, and since messages can't be ephemeral,
+ * replies that would have been ephemeral are visible to everyone
+ */
+class PrefixInteraction {
+
+    constructor(message, commandName, subcommand, options) {
+        this.message = message;
+        this.commandName = commandName;
+
+        this.id = message.id;
+        this.client = message.client;
+        this.guild = message.guild;
+        this.guildId = message.guildId;
+        this.channel = message.channel;
+        this.channelId = message.channelId;
+        this.member = message.member;
+        this.user = message.author;
+        this.memberPermissions = message.member?.permissions ?? null;
+
+        this.options = {
+            getString: (name) => options[name] ?? null,
+            getBoolean: (name) => options[name] ?? null,
+            getRole: (name) => options[name] ?? null,
+            getSubcommand: () => subcommand,
+        };
+
+        // The first reply (which the deferred reply turns into) is the one editReply() edits, just like an interaction
+        this.replyMessage = null;
+        this.deferred = false;
+        this.replied = false;
+    }
+
+    inGuild() {
+        return !!this.guildId;
+    }
+
+    async reply(options) {
+        this.replied = true;
+        this.replyMessage = await this.message.reply(toMessageOptions(options));
+        return this.replyMessage;
+    }
+
+    // There is no 'thinking...' message for normal messages, so we show that the bot is typing instead
+    async deferReply() {
+        this.deferred = true;
+        await this.channel.sendTyping().catch(() => { });
+    }
+
+    async followUp(options) {
+        if (!this.replyMessage)
+            return await this.reply(options);
+        return await this.channel.send(toMessageOptions(options));
+    }
+
+    async editReply(options) {
+        if (!this.replyMessage)
+            return await this.reply(options);
+        return await this.replyMessage.edit(toMessageOptions(options));
+    }
+
+    async fetchReply() {
+        return this.replyMessage;
+    }
+}
+
+// Removes the things that only interactions can do from reply options
+function toMessageOptions(options) {
+    if (typeof options === 'string')
+        return { content: options, allowedMentions: { repliedUser: false } };
+
+    const messageOptions = { allowedMentions: { repliedUser: false }, ...options };
+    delete messageOptions.ephemeral;
+    delete messageOptions.fetchReply;
+    return messageOptions;
+}
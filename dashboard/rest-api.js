@@ -0,0 +1,255 @@
+import { AudioPlayerStatus } from '@discordjs/voice';
+import client from '../client.js';
+import { addRoute, readJsonBody, jsonResponse, HttpError } from '../http-server.js';
+import { subscriptions } from '../music/subscription.js';
+import { findResolver } from '../music/resolvers.js';
+import { findApiToken } from '../storage/api-tokens.js';
+import { isDJ } from '../commands/permissions.js';
+import { getRequester } from '../commands/helpers.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('dashboard');
+
+/**
+ * The API behind the web dashboard, for managing the queue without going through discord. Every request needs a token from /dashboard token
+ * (see storage/api-tokens.js) as an 'Authorization: Bearer <token>' header, and can only see and change the guild the token was created on.
+ * Tokens can do what DJs can, so the person a token belongs to has to still be a DJ on that guild (see permissions.js)
+ *
+ *   GET    /api/subscriptions                   the subscription of the token's guild, as a list (empty if nothing is playing)
+ *   GET    /api/guilds/:guildId/queue           the subscription, including what is playing and the whole queue
+ *   POST   /api/guilds/:guildId/queue           enqueues { song, position?: 'end' | 'next' | 'now', shuffle? } like /play, /next and /now
+ *   DELETE /api/guilds/:guildId/queue/:index    like /remove
+ *   POST   /api/guilds/:guildId/skip            like /skip
+ *   POST   /api/guilds/:guildId/pause           like /pause
+ *   POST   /api/guilds/:guildId/resume          like /play without a song
+ *   POST   /api/guilds/:guildId/shuffle         like /shuffle
+ *   POST   /api/guilds/:guildId/swap            swaps { index1, index2 } like /swap
+ *   POST   /api/guilds/:guildId/jump            jumps to { index } like /jump
+ *
+ * Changes go through the same locked Queue methods and MusicSubscription methods as the commands, so a command and a request can never change
+ * the queue at the same time. Live updates are sent over a WebSocket (see websocket.js)
+ */
+
+/**
+ * Checks the token of a request (or of a WebSocket connection)
+ *
+ * @param {string|undefined} token
+ * @param {string} [guildId] the guild being accessed, if any
+ * @returns the { guildId, userId, userName } of the token, with 'member' being the GuildMember the token belongs to
+ */
+export async function authenticate(token, guildId) {
+    const owner = findApiToken(token);
+    if (!owner)
+        throw new HttpError(401, 'Missing or invalid token. Create one with /dashboard token');
+
+    if (guildId && guildId !== owner.guildId)
+        throw new HttpError(403, 'This token does not give access to that server');
+
+    const member = await client.guilds.cache.get(owner.guildId)?.members.fetch(owner.userId).catch(() => null);
+    if (!member || !isDJ(member))
+        throw new HttpError(403, 'Only DJs can use the dashboard');
+
+    return { ...owner, member };
+}
+
+function getBearerToken(request) {
+    return request.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+}
+
+// Tracks as the dashboard sees them. Spotify tracks don't have a youtube title until they are about to play
+export function describeTrack(track) {
+    return {
+        title: track.youtube_title ?? track.spotify_title,
+        youtube_url: track.youtube_url,
+        spotify_title: track.spotify_title,
+        spotify_authors: track.spotify_authors,
+        durationTimestamp: track.durationTimestamp,
+        requestedBy: track.requestedBy,
+        requestedByName: track.requestedByName,
+    };
+}
+
+/**
+ * @param {boolean} includeQueue whether to list every track in the queue, or only how many there are
+ */
+export function describeSubscription(subscription, includeQueue = false) {
+    const { status } = subscription.audioPlayer.state;
+    const playing = status === AudioPlayerStatus.Playing || status === AudioPlayerStatus.Paused;
+
+    return {
+        guildId: subscription.guildId,
+        voiceChannelId: subscription.voiceConnection.joinConfig.channelId,
+        status,
+        nowPlaying: playing ? { ...describeTrack(subscription.nowPlaying()), playbackPosition: Math.round(subscription.getPlaybackPosition()) } : null,
+        loopMode: subscription.loopMode,
+        queueMode: subscription.queue.mode,
+        volume: subscription.volume,
+        queueLength: subscription.queue.length(),
+        ...(includeQueue && { queue: subscription.queue.getShallowClone().map(describeTrack) }),
+    };
+}
+
+function getSubscription(guildId) {
+    const subscription = subscriptions.get(guildId);
+    if (!subscription)
+        throw new HttpError(409, 'Not currently playing on this server. Start playing with /play first');
+    return subscription;
+}
+
+// Turns an index from a request into a number, with the same limits as the commands
+function parseIndex(value, name, length) {
+    const index = Number(value);
+
+    if (!Number.isInteger(index))
+        throw new HttpError(400, `'${name}' must be a whole number`);
+    if (index < 0)
+        throw new HttpError(400, `'${name}' is too low (cannot be below 0)`);
+    if (index >= length)
+        throw new HttpError(400, `'${name}' is too high (the highest index in the queue is ${length - 1})`);
+
+    return index;
+}
+
+/**
+ * Adds a route that authenticates the request and looks up the guild's subscription before calling the handler. Handlers that change the queue
+ * are called while holding its lock, which is released once they are done (even if they throw)
+ *
+ * @param {(context: { subscription, owner, body, params }) => Promise<object>} handler returns what to respond with as JSON
+ */
+function addGuildRoute(method, path, { locksQueue = false, readsBody = false } = {}, handler) {
+    addRoute(method, path, async (request, params) => {
+        const owner = await authenticate(getBearerToken(request), params.guildId);
+        const body = readsBody ? await readJsonBody(request) : {};
+        const subscription = getSubscription(params.guildId);
+
+        const unlockQueue = locksQueue ? await subscription.queue.acquireLock() : null;
+        try {
+            const response = await handler({ subscription, owner, body, params });
+            log.info('Dashboard request', { guildId: params.guildId, userId: owner.userId, method, path: request.url });
+            return jsonResponse(response);
+        }
+        finally {
+            unlockQueue?.();
+        }
+    });
+}
+
+/**
+ * Adds the dashboard routes to the HTTP server (see http-server.js). Called once by index.js
+ */
+export function addDashboardRoutes() {
+
+    addRoute('GET', '/api/subscriptions', async (request) => {
+        const { guildId } = await authenticate(getBearerToken(request));
+        const subscription = subscriptions.get(guildId);
+        return jsonResponse({ subscriptions: subscription ? [describeSubscription(subscription)] : [] });
+    });
+
+    addGuildRoute('GET', '/api/guilds/:guildId/queue', {}, async ({ subscription }) => {
+        return describeSubscription(subscription, true);
+    });
+
+    // Resolving the song (e.g searching youtube, or loading a spotify playlist) can take a while, so the queue is only locked once the tracks are ready
+    addGuildRoute('POST', '/api/guilds/:guildId/queue', { readsBody: true }, async ({ subscription, owner, body }) => {
+        const { song, position = 'end', shuffle } = body;
+
+        if (typeof song !== 'string' || !song.trim())
+            throw new HttpError(400, "'song' must be a song name or a link");
+        if (!['end', 'next', 'now'].includes(position))
+            throw new HttpError(400, "'position' must be 'end', 'next' or 'now'");
+
+        const beginningOfQueue = position !== 'end';
+        const resolver = findResolver(song, { beginningOfQueue });
+
+        if (beginningOfQueue && !resolver.canEnqueueFirst(song))
+            throw new HttpError(400, `Only 'end' can be used with ${resolver.name}`);
+
+        const { tracks, collection, shuffleByDefault, error } = await resolver.resolve(song, getRequester(owner.member));
+        if (error)
+            throw new HttpError(400, error);
+
+        for (let track of tracks)
+            track.subscription = subscription;
+
+        const shuffleQueue = collection ? (shuffle ?? shuffleByDefault) : false;
+
+        const unlockQueue = await subscription.queue.acquireLock();
+        if (beginningOfQueue)
+            subscription.queue.enqueueFirst(tracks[0]);
+        else
+            subscription.queue.enqueue(...tracks);
+        shuffleQueue && subscription.queue.shuffle();
+        unlockQueue();
+
+        position === 'now' && subscription.skip();
+        void subscription.processQueue();
+
+        return { enqueued: tracks.map(describeTrack), shuffled: shuffleQueue };
+    });
+
+    addGuildRoute('DELETE', '/api/guilds/:guildId/queue/:index', { locksQueue: true }, async ({ subscription, params }) => {
+        const index = parseIndex(params.index, 'index', subscription.queue.length());
+        const [removed] = subscription.queue.remove(index);
+        return { removed: describeTrack(removed) };
+    });
+
+    addGuildRoute('POST', '/api/guilds/:guildId/skip', {}, async ({ subscription }) => {
+        const { status } = subscription.audioPlayer.state;
+        if (status === AudioPlayerStatus.Idle || status === AudioPlayerStatus.Buffering)
+            throw new HttpError(409, 'Cannot skip since a track is not playing yet');
+
+        const skipped = subscription.nowPlaying();
+        subscription.skip();
+        return { skipped: describeTrack(skipped) };
+    });
+
+    addGuildRoute('POST', '/api/guilds/:guildId/pause', {}, async ({ subscription }) => {
+        const { status } = subscription.audioPlayer.state;
+        if (status === AudioPlayerStatus.Paused)
+            throw new HttpError(409, 'Already paused');
+        if (status !== AudioPlayerStatus.Playing)
+            throw new HttpError(409, 'Cannot pause, nothing is playing');
+
+        subscription.audioPlayer.pause();
+        return describeSubscription(subscription);
+    });
+
+    addGuildRoute('POST', '/api/guilds/:guildId/resume', {}, async ({ subscription }) => {
+        if (subscription.audioPlayer.state.status !== AudioPlayerStatus.Paused)
+            throw new HttpError(409, 'Cannot unpause, the audio player is not currently paused');
+
+        subscription.audioPlayer.unpause();
+        return describeSubscription(subscription);
+    });
+
+    addGuildRoute('POST', '/api/guilds/:guildId/shuffle', { locksQueue: true }, async ({ subscription }) => {
+        subscription.queue.shuffle();
+        return describeSubscription(subscription, true);
+    });
+
+    addGuildRoute('POST', '/api/guilds/:guildId/swap', { locksQueue: true, readsBody: true }, async ({ subscription, body }) => {
+        const length = subscription.queue.length();
+        const index1 = parseIndex(body.index1, 'index1', length);
+        const index2 = parseIndex(body.index2 ?? 0, 'index2', length);
+
+        if (index1 === index2)
+            throw new HttpError(400, "'index1' and 'index2' must be different");
+
+        if (!subscription.queue.canSwap(index1, index2))
+            throw new HttpError(409, "In fair mode only tracks queued by the same person can be swapped (or swapped with ones put at the front)");
+
+        subscription.queue.swap(index1, index2);
+        return describeSubscription(subscription, true);
+    });
+
+    addGuildRoute('POST', '/api/guilds/:guildId/jump', { locksQueue: true, readsBody: true }, async ({ subscription, body }) => {
+        const index = parseIndex(body.index, 'index', subscription.queue.length());
+
+        if (index === 0)
+            throw new HttpError(400, 'Jumping to index 0 is the same as skipping');
+
+        subscription.queue.jump(index);
+        subscription.skip();
+        return describeSubscription(subscription, true);
+    });
+}
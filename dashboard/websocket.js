@@ -0,0 +1,116 @@
+import { STATUS_CODES } from 'node:http';
+import { WebSocketServer } from 'ws';
+import { HttpError } from '../http-server.js';
+import { subscriptions } from '../music/subscription.js';
+import subscriptionEvents from '../music/subscription-events.js';
+import { authenticate, describeSubscription, describeTrack } from './rest-api.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('dashboard');
+
+// Browsers can't set headers on WebSockets, so the token is part of the URL instead: /api/guilds/:guildId/events?token=<token>
+const EVENTS_PATH = /^\/api\/guilds\/([^/]+)\/events\/?$/;
+
+// Connections that don't answer a ping within this long are closed, so dashboards that went away without closing don't pile up
+const PING_INTERVAL = 30e3;
+
+/**
+ * Sends the dashboard everything that happens on its guild as it happens, as JSON messages with a 'type':
+ *
+ *   { type: 'state', subscription }                  sent once when connecting. 'subscription' is null if nothing is playing
+ *   { type: 'subscriptionStart', subscription }
+ *   { type: 'subscriptionEnd' }
+ *   { type: 'trackStart', track }
+ *   { type: 'trackFinish', track }
+ *   { type: 'trackError', track, error }
+ *   { type: 'queueChange', op, subscription }        'op' is what changed the queue (e.g 'swap'), 'subscription' includes the whole queue
+ *
+ * 'subscription' and 'track' are in the same format as the REST API (see rest-api.js)
+ *
+ * @param {import('node:http').Server} server the HTTP server from startHttpServer()
+ */
+export function attachDashboardSocket(server) {
+    const webSocketServer = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (request, socket, head) => {
+        const url = new URL(request.url, 'http://localhost');
+        const guildId = url.pathname.match(EVENTS_PATH)?.[1];
+
+        // Node stops listening for errors on the socket once it is upgraded, and authenticating can take a while (it fetches the member from
+        // discord). Without this, a client resetting the connection in the meantime would crash the bot. 'ws' listens for them itself once it
+        // has the socket
+        const onSocketError = (err) => log.debug('A WebSocket connection errored before it was set up', { guildId, err });
+        socket.on('error', onSocketError);
+
+        try {
+            if (!guildId)
+                throw new HttpError(404, 'Not found');
+
+            const owner = await authenticate(url.searchParams.get('token'), guildId);
+            socket.removeListener('error', onSocketError);
+            webSocketServer.handleUpgrade(request, socket, head, (webSocket) => onConnection(webSocket, owner));
+        }
+        catch (err) {
+            const status = err instanceof HttpError ? err.status : 500;
+            err instanceof HttpError || log.error('A WebSocket connection ran into an error', { guildId, err });
+
+            socket.end(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n\r\n`);
+        }
+    });
+
+    // Closes connections that didn't answer the last ping
+    const pingInterval = setInterval(() => {
+        for (let webSocket of webSocketServer.clients) {
+            if (!webSocket.isAlive) {
+                webSocket.terminate();
+                continue;
+            }
+            webSocket.isAlive = false;
+            webSocket.ping();
+        }
+    }, PING_INTERVAL);
+
+    server.on('close', () => clearInterval(pingInterval));
+
+    return webSocketServer;
+}
+
+function onConnection(webSocket, { guildId, userId }) {
+    log.info('A dashboard connected', { guildId, userId });
+
+    webSocket.isAlive = true;
+    webSocket.on('pong', () => webSocket.isAlive = true);
+
+    const send = (message) => webSocket.send(JSON.stringify(message));
+
+    const subscription = subscriptions.get(guildId);
+    send({ type: 'state', subscription: subscription ? describeSubscription(subscription, true) : null });
+
+    // Every listener only passes on the events of this connection's guild. Events are emitted in the middle of things like Track.onStart(), so a
+    // message that can't be sent is only logged
+    const listeners = {
+        subscriptionStart: (subscription) => send({ type: 'subscriptionStart', subscription: describeSubscription(subscription, true) }),
+        subscriptionEnd: () => send({ type: 'subscriptionEnd' }),
+        trackStart: (subscription, track) => send({ type: 'trackStart', track: describeTrack(track) }),
+        trackFinish: (subscription, track) => send({ type: 'trackFinish', track: describeTrack(track) }),
+        trackError: (subscription, track, error) => send({ type: 'trackError', track: describeTrack(track), error: String(error?.message ?? error) }),
+        queueChange: (subscription, op) => send({ type: 'queueChange', op, subscription: describeSubscription(subscription, true) }),
+    };
+
+    const guildListeners = Object.entries(listeners).map(([event, listener]) => [event, (subscription, ...args) => {
+        try {
+            subscription.guildId === guildId && listener(subscription, ...args);
+        }
+        catch (err) {
+            log.warn('Could not send an event to a dashboard', { guildId, event, err });
+        }
+    }]);
+    guildListeners.forEach(([event, listener]) => subscriptionEvents.on(event, listener));
+
+    webSocket.on('close', () => {
+        guildListeners.forEach(([event, listener]) => subscriptionEvents.off(event, listener));
+        log.info('A dashboard disconnected', { guildId, userId });
+    });
+
+    webSocket.on('error', (err) => log.warn('A dashboard connection ran into an error', { guildId, err }));
+}
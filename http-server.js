@@ -0,0 +1,139 @@
+import http from 'node:http';
+import client from './client.js';
+import { isSpotifyTokenValid } from './api-functions/spotify-functions.js';
+import { renderMetrics } from './monitoring/metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('http-server');
+
+/**
+ * A small HTTP server next to the bot, so whatever hosts it can see how it is doing:
+ *
+ *   GET /healthz  200 if the bot is logged in to discord and has a spotify access token that hasn't expired, 503 otherwise. The body says which is which
+ *   GET /metrics  the metrics in monitoring/metrics.js, in the Prometheus text format
+ *
+ * Other modules add their own routes with addRoute (e.g the dashboard API in dashboard/rest-api.js). It listens on HTTP_PORT, or PORT (which
+ * Heroku sets for web dynos), or 8080. Only this machine can reach it unless HTTP_HOST says otherwise (e.g HTTP_HOST=0.0.0.0 on Heroku, or to
+ * let Prometheus or a dashboard on another machine in)
+ */
+
+// Every route is { method, pattern, paramNames, handler }, see addRoute
+const routes = [];
+
+// Bodies are only ever small JSON objects, anything bigger than this is refused
+const MAX_BODY_SIZE = 16 * 1024;
+
+/**
+ * Thrown by route handlers to respond with an error, e.g throw new HttpError(404, 'Not currently playing on this server')
+ */
+export class HttpError extends Error {
+
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * @param {string} method e.g 'GET'
+ * @param {string} path e.g '/metrics'. Parts starting with ':' are parameters, e.g '/api/guilds/:guildId/queue'
+ * @param {(request: http.IncomingMessage, params: Object<string, string>) => Promise<{ status?: number, headers?: object, body: string }>} handler
+ */
+export function addRoute(method, path, handler) {
+    const paramNames = [];
+    const pattern = new RegExp('^' + path.replace(/:(\w+)/g, (_, name) => (paramNames.push(name), '([^/]+)')) + '/?$');
+    routes.push({ method, pattern, paramNames, handler });
+}
+
+/**
+ * @returns the body of a request parsed as JSON, or {} if it has no body
+ */
+export async function readJsonBody(request) {
+    let body = '';
+    for await (const chunk of request) {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE)
+            throw new HttpError(413, 'The request body is too large');
+    }
+
+    if (!body)
+        return {};
+
+    try {
+        return JSON.parse(body);
+    }
+    catch {
+        throw new HttpError(400, 'The request body must be JSON');
+    }
+}
+
+// For route handlers that respond with JSON
+export function jsonResponse(value, status = 200) {
+    return { status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(value) };
+}
+
+addRoute('GET', '/healthz', async () => {
+    const checks = { discord: client.isReady(), spotify: isSpotifyTokenValid() };
+    const healthy = Object.values(checks).every(check => check);
+
+    return jsonResponse({ status: healthy ? 'ok' : 'unhealthy', checks }, healthy ? 200 : 503);
+});
+
+addRoute('GET', '/metrics', async () => {
+    return { headers: { 'Content-Type': 'text/plain; version=0.0.4' }, body: renderMetrics() };
+});
+
+// Requests come from dashboards hosted anywhere, and authenticate with a token rather than cookies, so any origin is allowed
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+};
+
+async function handleRequest(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, corsHeaders);
+        return response.end();
+    }
+
+    let route, match;
+    for (route of routes) {
+        if (route.method === request.method && (match = pathname.match(route.pattern)))
+            break;
+    }
+
+    try {
+        if (!match)
+            throw new HttpError(404, 'Not found');
+
+        const params = Object.fromEntries(route.paramNames.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+        const { status = 200, headers = {}, body } = await route.handler(request, params);
+
+        response.writeHead(status, { 'Content-Type': 'text/plain', ...corsHeaders, ...headers });
+        response.end(body);
+    }
+    catch (err) {
+        if (!(err instanceof HttpError))
+            log.error('A request ran into an error', { method: request.method, path: pathname, err });
+
+        const status = err instanceof HttpError ? err.status : 500;
+        response.writeHead(status, { 'Content-Type': 'application/json', ...corsHeaders });
+        response.end(JSON.stringify({ error: err instanceof HttpError ? err.message : 'Internal server error' }));
+    }
+}
+
+/**
+ * Starts listening. If the port can't be used the error is only logged, since the bot itself works fine without the server
+ *
+ * @returns the http.Server, which WebSockets can be attached to (see dashboard/websocket.js)
+ */
+export function startHttpServer(port = Number(process.env.HTTP_PORT ?? process.env.PORT ?? 8080), host = process.env.HTTP_HOST ?? '127.0.0.1') {
+    const server = http.createServer(handleRequest);
+
+    server.on('error', (err) => log.error('The HTTP server ran into an error', { host, port, err }));
+    server.listen(port, host, () => log.info('The HTTP server is listening', { host, port }));
+
+    return server;
+}
@@ -1,34 +1,87 @@
 // Entry point for our bot
 
 // First configures dotenv
-// Then it loads client.js which initializes, logs in, and exports the client 
-// Afterwards it loads up all the commands/handlers as defined in commands.js
+// Then it loads client.js which initializes and exports the client 
+// Afterwards it sets up the handlers, loads up all the commands (see commands.js), and logs in
 
 export * from './configure-environment.js';
 
 import client from './client.js';
-import commands from './commands/commands.js';
+import commands, { loadCommands } from './commands/commands.js';
+import { warnIfCommandsAreOutdated } from './commands/deployment.js';
+import { handlePrefixCommand } from './commands/prefix-commands.js';
+import { ensurePermission } from './commands/permissions.js';
+import { createLogger } from './logger.js';
+import { startSpotifyAuthorization } from './api-functions/spotify-functions.js';
+import { startHttpServer } from './http-server.js';
+import { addDashboardRoutes } from './dashboard/rest-api.js';
+import { attachDashboardSocket } from './dashboard/websocket.js';
 
-import { subscriptions } from './music/subscription.js'
+import { subscriptions, saveAllSubscriptions, restoreSubscriptions } from './music/subscription.js'
 
-// This block makes it so command names (keys inside commands.js) are mapped to their respective 'execute' function 
+// Every line the bot logs is JSON (see logger.js). LOG_LEVEL and LOG_LEVELS in the .env file choose how much gets logged
+const log = createLogger('index');
+
+// This block makes it so command names (keys of the dictionary in commands.js) are mapped to their respective 'execute' function 
+// Before anything runs, ensurePermission checks that they are allowed to use the command on this server (see permissions.js)
 client.on('interactionCreate', async (interaction) => {
     if (interaction.isCommand() && commands[interaction.commandName]) {
-        await commands[interaction.commandName].execute(interaction);
+        if (await ensurePermission(interaction, interaction.commandName, commands[interaction.commandName]))
+            await commands[interaction.commandName].execute(interaction);
+    }
+
+    // Buttons and select menus have custom IDs that start with the name of the command that created them (e.g 'queue:next:0'), so they are
+    // mapped to that command's 'handleComponent' function. They need the same permission as the command itself
+    else if (interaction.isMessageComponent()) {
+        const [commandName] = interaction.customId.split(':');
+        if (commands[commandName]?.handleComponent && await ensurePermission(interaction, commandName, commands[commandName]))
+            await commands[commandName].handleComponent(interaction);
+    }
+
+    // Suggestions while they are typing an option (e.g the 'song' option of /play) are mapped to that command's 'autocomplete' function
+    else if (interaction.isAutocomplete() && commands[interaction.commandName]?.autocomplete) {
+        await commands[interaction.commandName].autocomplete(interaction);
     }
 })
 
+// Messages like '!play <song>' on guilds that turned prefix commands on with /prefix run the same commands (see prefix-commands.js)
+client.on('messageCreate', async (message) => {
+    await handlePrefixCommand(message, commands);
+})
+
 // When the client is ready, run this code (only once)
-client.once('ready', () => {
-	console.log('The bot is ready to listen to commands');
+client.once('ready', async () => {
+	log.info('The bot is ready to listen to commands');
+
+    // Rejoin and resume every subscription that was active when the bot last shut down
+    await restoreSubscriptions(client);
 });
 
 // Heroku Cycling
-process.on('SIGTERM', () => {
-    subscriptions.forEach(async (subscription) => {
-        await subscription.lastTextChannel.send("Daily Heroku restart cycle occurred (bot is restarting), queue will be lost")
-        subscription.terminate();
-    })
-    console.log(`Process ${process.pid} received a SIGTERM signal`)
+process.on('SIGTERM', async () => {
+    log.info('Received a SIGTERM signal', { pid: process.pid, subscriptions: subscriptions.size })
+
+    // Save every queue (and how far into the current track we are) before anything else, since Heroku will kill us if we take too long
+    saveAllSubscriptions();
+
+    await Promise.allSettled([...subscriptions.values()].flatMap(subscription => [
+        subscription.controlPanel.disable("Restarting, I'll be right back"),
+        subscription.lastTextChannel.send("Daily Heroku restart cycle occurred (bot is restarting), the queue will be restored once I'm back"),
+    ]))
+
     process.exit(0)
-  })
\ No newline at end of file
+  })
+
+// The commands are loaded before logging in, since interactions that come in before they are loaded would be ignored
+await loadCommands();
+log.info(`Loaded ${Object.keys(commands).length} commands`);
+
+// The handlers are attached and the commands are loaded, so now we can log in (the spotify token is needed before any subscriptions are restored)
+await startSpotifyAuthorization();
+await client.login(process.env.BOT_TOKEN);
+
+// /healthz and /metrics (see http-server.js), and the API for the web dashboard (see the dashboard folder)
+addDashboardRoutes();
+attachDashboardSocket(startHttpServer());
+
+void warnIfCommandsAreOutdated(commands);
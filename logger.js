@@ -0,0 +1,91 @@
+/**
+ * Structured logging. Every line is a JSON object, e.g
+ *
+ *   {"time":"2022-01-02T03:04:05.678Z","level":"info","module":"subscription","msg":"Audio player state changed","guildId":"721203380059373588","subscriptionId":3,"track":"Never Gonna Give You Up","event":"audioPlayer.transition","from":"buffering","to":"playing"}
+ *
+ * so that on a host playing in many guilds at once, lines can be filtered by guild, subscription, track or event.
+ *
+ * The levels are debug, info, warn and error. LOG_LEVEL sets the lowest level that gets logged for every module ('info' by default), and LOG_LEVELS
+ * overrides it for specific modules, e.g LOG_LEVELS=subscription=debug,track=warn. 'silent' turns logging off (the tests use it)
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Maps module names to the lowest level they log. Filled in the first time each module logs, since the .env file may not be loaded when loggers are created
+const moduleLevels = new Map();
+
+function getModuleLevel(module) {
+    if (!moduleLevels.has(module)) {
+        const overrides = Object.fromEntries((process.env.LOG_LEVELS ?? '').split(',').map(entry => entry.trim().split('=')));
+        const level = overrides[module] ?? process.env.LOG_LEVEL ?? 'info';
+        moduleLevels.set(module, level.toLowerCase() === 'silent' ? Infinity : LEVELS[level.toLowerCase()] ?? LEVELS.info);
+    }
+    return moduleLevels.get(module);
+}
+
+/**
+ * @param {string} module the name of the module logging (what LOG_LEVELS refers to)
+ * @param {object} fields added to every line this logger writes. Values can be functions, which are called each time a line is written (e.g the
+ * title of whatever track is playing at the time)
+ */
+export function createLogger(module, fields = {}) {
+    return new Logger(module, fields);
+}
+
+class Logger {
+
+    constructor(module, fields) {
+        this.module = module;
+        this.fields = fields;
+    }
+
+    // A logger for the same module with more fields, e.g log.child({ guildId })
+    child(fields) {
+        return new Logger(this.module, { ...this.fields, ...fields });
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < getModuleLevel(this.module))
+            return;
+
+        const entry = { time: new Date().toISOString(), level, module: this.module, msg };
+
+        for (let [key, value] of Object.entries({ ...this.fields, ...fields })) {
+            typeof value === 'function' && (value = value());
+            value !== undefined && value !== null && (entry[key] = value);
+        }
+
+        let line;
+        try {
+            line = JSON.stringify(entry, serializeErrors);
+        } catch {
+            // e.g a circular structure was passed in as a field. The message itself is still worth logging
+            line = JSON.stringify({ time: entry.time, level, module: this.module, msg, loggingError: 'Some of the fields could not be serialized' });
+        }
+
+        process.stdout.write(line + '\n');
+    }
+}
+
+// Errors have no enumerable properties so JSON.stringify would turn them into {}. youtube-dl errors have an exitCode and a shortMessage worth keeping
+function serializeErrors(key, value) {
+    if (!(value instanceof Error))
+        return value;
+
+    return { name: value.name, message: value.message, code: value.code, exitCode: value.exitCode, shortMessage: value.shortMessage, stack: value.stack };
+}
@@ -0,0 +1,136 @@
+/**
+ * The metrics that /metrics serves (see http-server.js) in the Prometheus text format. prom-client would do this too, but the bot only needs
+ * counters, gauges and one histogram, which are a few lines each.
+ *
+ * Counters and histograms are fed by the subscriptions and tracks as things happen (e.g Track.onStart() increments tracksPlayed). Gauges that
+ * describe the current state of the bot (e.g how many subscriptions there are) are measured when /metrics is requested instead, by a 'collect'
+ * function, so they can never drift from the real values
+ */
+const metrics = [];
+
+// Label values can contain anything (e.g a guild ID is safe, but an error message isn't), so they are escaped like the format asks
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0)
+        return '';
+    return '{' + entries.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',') + '}';
+}
+
+class Metric {
+
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        metrics.push(this);
+    }
+
+    render() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSamples()].join('\n');
+    }
+}
+
+export class Counter extends Metric {
+
+    /**
+     * @param {boolean} labelled whether the counter is always incremented with labels. Counters without labels start at 0, labelled ones have no
+     * samples until they are first incremented (otherwise there would be an unlabelled 0 next to the labelled ones)
+     */
+    constructor(name, help, labelled = false) {
+        super('counter', name, help);
+        // Maps the formatted labels to the count, e.g '{exit_code="1"}' => 3
+        this.values = new Map(labelled ? [] : [['', 0]]);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = formatLabels(labels);
+        this.values.set(key, (this.values.get(key) ?? 0) + amount);
+    }
+
+    renderSamples() {
+        return [...this.values].map(([labels, value]) => `${this.name}${labels} ${value}`);
+    }
+}
+
+export class Gauge extends Metric {
+
+    /**
+     * @param {() => number | Array<{ labels: object, value: number }>} collect measures the gauge every time the metrics are rendered. Gauges with
+     * labels return one value for each set of labels
+     */
+    constructor(name, help, collect) {
+        super('gauge', name, help);
+        this.collect = collect;
+    }
+
+    renderSamples() {
+        const values = this.collect();
+        if (typeof values === 'number')
+            return [`${this.name} ${values}`];
+        return values.map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+export class Histogram extends Metric {
+
+    /**
+     * @param {number[]} buckets the upper bounds of the buckets, in increasing order
+     */
+    constructor(name, help, buckets) {
+        super('histogram', name, help);
+        this.buckets = buckets;
+        this.bucketCounts = buckets.map(() => 0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        this.buckets.forEach((bucket, i) => value <= bucket && this.bucketCounts[i]++);
+        this.sum += value;
+        this.count++;
+    }
+
+    // Observes how long the promise that fn() returns takes to settle, in seconds, and returns what it resolves to
+    async time(fn) {
+        const start = process.hrtime.bigint();
+        try {
+            return await fn();
+        }
+        finally {
+            this.observe(Number(process.hrtime.bigint() - start) / 1e9);
+        }
+    }
+
+    renderSamples() {
+        return [
+            ...this.buckets.map((bucket, i) => `${this.name}_bucket{le="${bucket}"} ${this.bucketCounts[i]}`),
+            `${this.name}_bucket{le="+Inf"} ${this.count}`,
+            `${this.name}_sum ${this.sum}`,
+            `${this.name}_count ${this.count}`,
+        ];
+    }
+}
+
+/**
+ * @returns every metric in the Prometheus text format
+ */
+export function renderMetrics() {
+    return metrics.map(metric => metric.render()).join('\n') + '\n';
+}
+
+// The metrics that are fed as things happen. The gauges are next to what they measure (e.g the subscriptions in subscription.js)
+
+export const tracksPlayed = new Counter('musicbot_tracks_played_total', 'Tracks that started playing');
+
+export const youtubeDlSpawnFailures = new Counter('musicbot_youtubedl_spawn_failures_total', 'youtube-dl processes that failed, by exit code', true);
+
+// 'retry' is trying the same URL again, 'alternate' is switching to a different search result, and 'gave_up' is when a track is skipped after too many attempts
+export const replayAttempts = new Counter('musicbot_replay_attempts_total', 'Attempts to replay a track after youtube-dl exited with code 1, by what was tried', true);
+
+export const searchLatency = new Histogram('musicbot_youtube_search_duration_seconds', 'How long youtube searches take', [0.25, 0.5, 1, 2, 4, 8]);
+
+// The situations are the ones in the voice connection's stateChange handler (see subscription.js). The outcome is 'attempt' when one starts, and 'failed' when it ends with the connection destroyed
+export const reconnects = new Counter('musicbot_voice_reconnects_total', 'Voice connection recovery attempts and failures, by situation (A, B or D)', true);
+
+// 'used' is when the next track was prepared while the previous one played (see MusicSubscription.prefetchNext), 'discarded' is when the queue changed first
+export const prefetches = new Counter('musicbot_prefetches_total', 'Tracks that were prepared before their turn, by whether that was used or thrown away', true);
@@ -0,0 +1,143 @@
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { MessageActionRow, MessageButton, MessageEmbed } from 'discord.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('control-panel');
+
+/**
+ * A ControlPanel is the one message per subscription that shows what is playing, with buttons for the most common commands. Instead of
+ * sending a new message every time a track starts or finishes (which floods busy servers), the same message is edited in place.
+ *
+ * The custom IDs of the buttons start with the name of the slash command they do the same thing as (e.g 'skip:panel'), so index.js sends them to
+ * that command's handleComponent function, which runs the same code as the command itself
+ */
+export class ControlPanel {
+
+	constructor(subscription) {
+		this.subscription = subscription;
+		this.message = null;
+		this.disabled = false;
+
+		// Updates are debounced (a track change is several audio player state changes in a row) and done one at a time so we never send 2 panels
+		this.updateTimeout = null;
+		this.renderQueue = Promise.resolve();
+	}
+
+	/**
+	 * Schedules the panel to be edited to match the current state of the subscription (or sent, if it doesn't exist yet)
+	 */
+	update() {
+		if (this.disabled || this.updateTimeout)
+			return;
+
+		this.updateTimeout = setTimeout(() => {
+			this.updateTimeout = null;
+			this.renderQueue = this.renderQueue.then(() => this.render()).catch((err) => log.warn('ControlPanel could not be updated', { ...this.subscription.logFields, err }));
+		}, 500);
+	}
+
+	async render() {
+		if (this.disabled)
+			return;
+
+		const messageData = this.createMessage();
+		const channel = this.subscription.lastTextChannel;
+
+		// If they started using commands in a different channel, the panel moves to that channel
+		if (this.message && this.message.channelId !== channel.id) {
+			await this.message.delete().catch(() => { });
+			this.message = null;
+		}
+
+		if (this.message) {
+			try {
+				return await this.message.edit(messageData);
+			}
+			catch {
+				// Someone probably deleted the panel, so we send a new one below
+				this.message = null;
+			}
+		}
+
+		this.message = await channel.send(messageData);
+	}
+
+	/**
+	 * Greys out the panel for good. Called when the subscription is terminated (or the bot is restarting) since the buttons won't do anything anymore
+	 *
+	 * @param {string} reason shown on the panel in place of the track
+	 */
+	async disable(reason = 'Stopped playing on this server') {
+		this.disabled = true;
+		clearTimeout(this.updateTimeout);
+
+		await this.renderQueue;
+
+		if (!this.message)
+			return;
+
+		const embed = new MessageEmbed()
+			.setColor('#808080')
+			.setDescription(reason);
+
+		await this.message.edit({ embeds: [embed], components: this.createButtons(true) }).catch(() => { });
+	}
+
+	createMessage() {
+		const subscription = this.subscription;
+		const { status } = subscription.audioPlayer.state;
+
+		let embed;
+
+		if (status === AudioPlayerStatus.Playing || status === AudioPlayerStatus.Paused || status === AudioPlayerStatus.AutoPaused) {
+			embed = subscription.nowPlaying().createProgressEmbed(subscription.getPlaybackPosition(), status === AudioPlayerStatus.Paused);
+		}
+		else if (status === AudioPlayerStatus.Buffering) {
+			const track = subscription.nowPlaying();
+			embed = new MessageEmbed().setColor('#0099ff').setDescription(`Loading ${"`" + (track.youtube_title ?? track.spotify_title) + "`"}...`);
+		}
+		else {
+			embed = new MessageEmbed().setColor('#0099ff').setDescription(subscription.queue.length() > 0 ? 'Loading the next song...' : 'Nothing is playing. Use /play to add songs to the queue');
+		}
+
+		embed.setFooter(`Loop: ${subscription.loopMode} | Volume: ${subscription.volume}% | ${subscription.queue.length()} songs in the queue`);
+
+		return { embeds: [embed], components: this.createButtons(false) };
+	}
+
+	createButtons(disableAll) {
+		const subscription = this.subscription;
+		const { status } = subscription.audioPlayer.state;
+
+		const playing = status === AudioPlayerStatus.Playing || status === AudioPlayerStatus.AutoPaused;
+		const paused = status === AudioPlayerStatus.Paused;
+
+		// The pause button turns into a resume button while paused. It still goes to the pause command, so only people who can pause can resume
+		const pauseButton = paused
+			? new MessageButton().setCustomId('pause:panel').setLabel('Resume').setStyle('SUCCESS')
+			: new MessageButton().setCustomId('pause:panel').setLabel('Pause').setStyle('SECONDARY').setDisabled(!playing);
+
+		// Pressing skip counts as a vote for people who can't skip the track outright, so the button shows the votes so far (e.g 'Skip (3/5 votes)')
+		const { votes, required } = subscription.getSkipVotes();
+
+		const playbackRow = new MessageActionRow().addComponents(
+			pauseButton,
+			new MessageButton().setCustomId('skip:panel').setLabel(votes > 0 ? `Skip (${votes}/${required} votes)` : 'Skip').setStyle('PRIMARY').setDisabled(!playing && !paused),
+			new MessageButton().setCustomId('stop:panel').setLabel('Stop').setStyle('DANGER'),
+			new MessageButton().setCustomId('shuffle:panel').setLabel('Shuffle').setStyle('SECONDARY'),
+			new MessageButton().setCustomId('loop:panel').setLabel(`Loop: ${subscription.loopMode}`).setStyle('SECONDARY'),
+		);
+
+		const volumeRow = new MessageActionRow().addComponents(
+			new MessageButton().setCustomId('volume:down').setLabel('Volume -').setStyle('SECONDARY').setDisabled(subscription.volume <= 0),
+			new MessageButton().setCustomId('volume:up').setLabel('Volume +').setStyle('SECONDARY').setDisabled(subscription.volume >= 200),
+		);
+
+		const rows = [playbackRow, volumeRow];
+
+		if (disableAll)
+			rows.forEach(row => row.components.forEach(button => button.setDisabled(true)));
+
+		return rows;
+	}
+}
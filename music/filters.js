@@ -0,0 +1,68 @@
+/**
+ * The audio effects that can be turned on with /filter. Each one is an ffmpeg audio filter chain (what you would pass to ffmpeg's -af option) and
+ * 'speed' says how much faster (or slower) than normal the track plays with the filter on, which we need in order to keep track of how far into
+ * the track we are. Filters with 'min' and 'max' take a value from the user (e.g /filter add tempo 1.25), the others don't take one.
+ *
+ * Filters that change the sample rate resample to 48kHz first, since that is what they assume the input is. Any number of filters can be
+ * combined, they are applied in the order they were turned on
+ */
+export const audioFilters = {
+
+	bassboost: {
+		description: 'Boosts the bass',
+		chain: () => 'bass=g=10',
+		speed: () => 1,
+	},
+
+	nightcore: {
+		description: 'Speeds up and raises the pitch',
+		chain: () => 'aresample=48000,asetrate=48000*1.25,aresample=48000',
+		speed: () => 1.25,
+	},
+
+	vaporwave: {
+		description: 'Slows down and lowers the pitch',
+		chain: () => 'aresample=48000,asetrate=48000*0.8,aresample=48000',
+		speed: () => 0.8,
+	},
+
+	'8d': {
+		description: 'Makes the audio move from ear to ear (use headphones)',
+		chain: () => 'apulsator=hz=0.08',
+		speed: () => 1,
+	},
+
+	tempo: {
+		description: 'Changes the speed without changing the pitch (0.5 to 2)',
+		min: 0.5,
+		max: 2,
+		chain: (value) => `atempo=${value}`,
+		speed: (value) => value,
+	},
+
+	pitch: {
+		description: 'Changes the pitch without changing the speed (0.5 to 2)',
+		min: 0.5,
+		max: 2,
+		chain: (value) => `aresample=48000,asetrate=48000*${value},aresample=48000,atempo=${1 / value}`,
+		speed: () => 1,
+	},
+};
+
+/**
+ * Combines the active filters of a subscription into a single ffmpeg filter chain
+ *
+ * @param {Object<string, number|null>} activeFilters maps the names of the active filters to their value (null for filters that don't take one)
+ * @returns {{ chain: string|null, speed: number }} the combined -af chain (null if no filters are active) and the combined playback speed
+ */
+export function buildFilterChain(activeFilters) {
+	const names = Object.keys(activeFilters ?? {}).filter(name => audioFilters[name]);
+
+	if (names.length === 0)
+		return { chain: null, speed: 1 };
+
+	return {
+		chain: names.map(name => audioFilters[name].chain(activeFilters[name])).join(','),
+		speed: names.reduce((speed, name) => speed * audioFilters[name].speed(activeFilters[name]), 1),
+	};
+}
@@ -0,0 +1,51 @@
+import { Track } from './track.js';
+import JsonStore from '../storage/json-store.js';
+
+// How many finished tracks we remember per guild. Older tracks fall off the end
+const MAX_HISTORY_LENGTH = 100;
+
+/**
+ * Maps guild IDs to the tracks that have finished playing on that guild, most recent first. Each entry looks like { track, playedAt } where
+ * 'track' is the output of Track.toJSON (so Spotify tracks keep the youtube_url that was found for them) and 'playedAt' is when it started playing.
+ * History is kept per guild rather than per subscription so it survives /stop, the idle disconnect, and restarts
+ */
+const histories = new JsonStore('history.json');
+
+/**
+ * Records that a track has finished playing on a guild
+ *
+ * @param {string} guildId the guild the track played on
+ * @param {Track} track the track that finished
+ */
+export function addToHistory(guildId, track) {
+	const history = histories.get(guildId) ?? [];
+
+	history.unshift({ track: track.toJSON(), playedAt: track.startedAt ?? Date.now() });
+	history.length > MAX_HISTORY_LENGTH && (history.length = MAX_HISTORY_LENGTH);
+
+	histories.set(guildId, history);
+}
+
+/**
+ * @returns the history entries for a guild, most recent first. The returned array is a copy and can be modified freely
+ */
+export function getHistory(guildId) {
+	return [...(histories.get(guildId) ?? [])];
+}
+
+/**
+ * Removes the most recently finished track from a guild's history and rebuilds it as a Track (used by /previous). It is removed so that it
+ * doesn't show up twice once it finishes playing again
+ *
+ * @returns the rebuilt Track, or null if nothing has finished playing on this guild yet
+ */
+export function takeMostRecentFromHistory(guildId) {
+	const history = histories.get(guildId);
+	if (!history || history.length === 0)
+		return null;
+
+	const [{ track }] = history.splice(0, 1);
+	histories.set(guildId, history);
+
+	return Track.fromJSON(track);
+}
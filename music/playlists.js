@@ -0,0 +1,69 @@
+import { Track } from './track.js';
+import JsonStore from '../storage/json-store.js';
+
+/**
+ * Maps guild IDs to that guild's saved playlists. Each guild's playlists are keyed by their lowercased name (so names are case insensitive) and look like
+ * { name, createdBy, createdByName, createdAt, tracks } where 'createdBy' is the user ID of whoever saved it and 'tracks' holds the output of Track.toJSON.
+ * Since tracks are saved with their youtube_url and spotify info, loading a playlist doesn't need to search youtube for tracks that already played
+ */
+const playlists = new JsonStore('playlists.json');
+
+// The names are chosen by users, so each guild's playlists are copied into an object without a prototype before they are changed. Otherwise a
+// playlist called '__proto__' would replace the prototype instead of being saved
+const copyGuildPlaylists = (guildId) => Object.assign(Object.create(null), playlists.get(guildId));
+
+/**
+ * Saves (or overwrites) a playlist on a guild
+ *
+ * @param {string} guildId the guild the playlist belongs to
+ * @param {string} name the name of the playlist
+ * @param {Track[]} tracks the tracks in the playlist, in order
+ * @param {import('discord.js').GuildMember} member the member saving the playlist
+ */
+export function savePlaylist(guildId, name, tracks, member) {
+	const guildPlaylists = copyGuildPlaylists(guildId);
+
+	guildPlaylists[name.toLowerCase()] = {
+		name,
+		createdBy: member.id,
+		createdByName: member.nickname || member.user.username,
+		createdAt: Date.now(),
+		tracks: tracks.map(track => track.toJSON()),
+	};
+
+	playlists.set(guildId, guildPlaylists);
+}
+
+/**
+ * @returns the saved playlist with this name (case insensitive), or undefined if there isn't one
+ */
+export function getPlaylist(guildId, name) {
+	const guildPlaylists = playlists.get(guildId);
+
+	// Checking that it is its own property means names like 'constructor' don't find what every object inherits
+	if (guildPlaylists && Object.hasOwn(guildPlaylists, name.toLowerCase()))
+		return guildPlaylists[name.toLowerCase()];
+}
+
+/**
+ * @returns every playlist saved on a guild, sorted by name
+ */
+export function getPlaylists(guildId) {
+	return Object.values(playlists.get(guildId) ?? {}).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function deletePlaylist(guildId, name) {
+	const guildPlaylists = copyGuildPlaylists(guildId);
+	delete guildPlaylists[name.toLowerCase()];
+	playlists.set(guildId, guildPlaylists);
+}
+
+/**
+ * Rebuilds the tracks of a saved playlist so they can be enqueued
+ *
+ * @param {object} playlist a playlist returned by getPlaylist
+ * @param {{ requestedBy: string, requestedByName: string }} requester who is loading the playlist. They count as the requester of every track
+ */
+export function playlistToTracks(playlist, requester) {
+	return playlist.tracks.map(data => Track.fromJSON({ ...data, ...requester }));
+}
@@ -1,17 +1,69 @@
 import { Mutex } from 'async-mutex';
+import { EventEmitter } from 'node:events';
+
+/**
+ * The ways a queue can decide what plays next. 'fifo' plays tracks in the order they were queued. 'fair' takes turns between the people who
+ * queued them, so one person queuing a huge playlist doesn't push everyone else's songs back by hours
+ */
+export const QueueMode = {
+	FIFO: 'fifo',
+	Fair: 'fair',
+};
 
 /**
  * Queue with mutex lock to ensure that it is never being modified concurrently (it is accessed by several async/event handler functions)
+ *
+ * Every method that modifies the queue emits a 'change' event (with the name of the method that caused it) once it is done, so that other
+ * parts of the bot (such as saving the queue to the disk) can react to the queue changing without every command having to remember to do it
+ *
+ * In fair mode the tracks are kept in one sub-queue per requester (subQueues, in the order they take turns), and 'internal' is rebuilt after every
+ * change to hold the order they will actually play in (one track from each sub-queue, then the next track from each, and so on). Indices always
+ * refer to that order, since it is what /queue shows. Tracks put at the front with enqueueFirst (/next, /now, looping a track) go in 'front',
+ * which plays before any of the sub-queues
  */
-export default class Queue {
+export default class Queue extends EventEmitter {
 
 	constructor() {
+		super();
         this.queueAccessMutex = new Mutex();
 		this.internal = [];
+
+		this.mode = QueueMode.FIFO;
+		this.front = [];
+		this.subQueues = [];
+	}
+
+	/**
+	 * Switches between QueueMode.FIFO and QueueMode.Fair. Switching to FIFO keeps the tracks in the order they were going to play in, switching to
+	 * fair splits them up by who requested them (keeping the order of each person's tracks)
+	 */
+	setMode(mode) {
+		if (mode === this.mode)
+			return;
+
+		const tracks = this.internal;
+		this.mode = mode;
+		this.front = [];
+		this.subQueues = [];
+
+		if (mode === QueueMode.Fair)
+			this.addToSubQueues(tracks);
+		else
+			this.internal = tracks;
+
+		this.changed('setMode');
 	}
 
     setInternalArray(array) {
-        this.internal = array;
+		if (this.mode === QueueMode.Fair) {
+			this.front = [];
+			this.subQueues = [];
+			this.addToSubQueues(array);
+		}
+		else
+			this.internal = array;
+
+		this.changed('setInternalArray');
     }
 
 	getShallowClone() {
@@ -25,17 +77,54 @@ export default class Queue {
 	}
 
     enqueue(...items) {
-		return this.internal.push(...items);
+		if (this.mode === QueueMode.Fair)
+			this.addToSubQueues(items);
+		else
+			this.internal.push(...items);
+
+		this.changed('enqueue');
+		return this.internal.length;
 	}
 
     enqueueFirst(item) {
-		this.splice(0, 0, item)
+		if (this.mode === QueueMode.Fair)
+			this.front.unshift(item);
+		else
+			this.internal.splice(0, 0, item);
+
+		this.changed('enqueueFirst');
 	}
-    
+
+	/**
+	 * @returns whether the tracks were swapped. In fair mode they aren't if canSwap() says no
+	 */
 	swap(index1, index2) {
-		let temporaryValue = this.internal[index1];
-		this.internal[index1] = this.internal[index2];
-		this.internal[index2] = temporaryValue;
+		if (!this.canSwap(index1, index2))
+			return false;
+
+		const [[array1, i1], [array2, i2]] = [this.positionOf(index1), this.positionOf(index2)];
+
+		let temporaryValue = array1[i1];
+		array1[i1] = array2[i2];
+		array2[i2] = temporaryValue;
+
+		this.changed('swap');
+		return true;
+	}
+
+	/**
+	 * In fair mode a track can only be swapped into someone's sub-queue if they requested it. Otherwise it would take one of their turns, and
+	 * everything they queue afterwards would line up behind someone else's song. Tracks can always be swapped into 'front', since it doesn't
+	 * belong to anyone
+	 */
+	canSwap(index1, index2) {
+		if (this.mode !== QueueMode.Fair)
+			return true;
+
+		const [[array1, i1], [array2, i2]] = [this.positionOf(index1), this.positionOf(index2)];
+		const belongsIn = (track, array) => array === this.front || this.subQueues.find(subQueue => subQueue.tracks === array).requestedBy === track.requestedBy;
+
+		return belongsIn(array1[i1], array2) && belongsIn(array2[i2], array1);
 	}
 
     async acquireLock(interaction) {
@@ -53,38 +142,158 @@ export default class Queue {
         return this.internal.length;
     }
 
+	// In fair mode every sub-queue is shuffled on its own, so people still take turns
     shuffle() {
-		let currentIndex = this.internal.length, randomIndex;
+		const arrays = this.mode === QueueMode.Fair ? this.subQueues.map(subQueue => subQueue.tracks) : [this.internal];
+
+		for (let array of arrays) {
+			let currentIndex = array.length, randomIndex;
 
-		while (currentIndex > 0) {
-			randomIndex = Math.floor(Math.random() * currentIndex);
-			currentIndex -= 1;
+			while (currentIndex > 0) {
+				randomIndex = Math.floor(Math.random() * currentIndex);
+				currentIndex -= 1;
 
-			this.swap(currentIndex, randomIndex);
+				[array[currentIndex], array[randomIndex]] = [array[randomIndex], array[currentIndex]];
+			}
 		}
+
+		this.changed('shuffle');
 	}
 
     slice(start, end) {
 		return this.internal.slice(start, end);
 	}
 
+	// In fair mode, where a track plays is decided by who requested it. So inserted items only end up at 'start' if it is inside of the front
+	// of the queue (e.g 0), otherwise they are added to their requester's sub-queue like enqueue() would
     splice(start, deleteCount, ...items) {
-		return this.internal.splice(start, deleteCount, ...items);
+		if (this.mode !== QueueMode.Fair) {
+			const removed = this.internal.splice(start, deleteCount, ...items);
+			this.changed('splice');
+			return removed;
+		}
+
+		const removed = this.removePositions(this.positions().slice(start, start + deleteCount));
+
+		if (start <= this.front.length)
+			this.front.splice(start, 0, ...items);
+		else
+			this.addToSubQueues(items);
+
+		this.changed('splice');
+		return removed;
 	}
 
     jump(index) {
-        this.internal = this.slice(index)
+		if (this.mode !== QueueMode.Fair) {
+			this.internal = this.slice(index);
+			this.changed('jump');
+			return;
+		}
+
+		const positions = this.positions();
+		const [array] = positions[index] ?? [];
+
+		this.removePositions(positions.slice(0, index));
+
+		// Everyone whose turn came before the track we jumped to has had their turn, so the rotation starts with whoever queued it
+		const turn = this.subQueues.findIndex(subQueue => subQueue.tracks === array);
+		turn > 0 && this.subQueues.push(...this.subQueues.splice(0, turn));
+
+		this.changed('jump');
     }
 
 	dequeue() {
-        return this.internal.shift();
+		if (this.mode !== QueueMode.Fair) {
+			const item = this.internal.shift();
+			this.changed('dequeue');
+			return item;
+		}
+
+		let item = this.front.shift();
+
+		// Whoever's turn it was goes to the back of the rotation
+		if (!item && this.subQueues.length > 0) {
+			const subQueue = this.subQueues.shift();
+			item = subQueue.tracks.shift();
+			this.subQueues.push(subQueue);
+		}
+
+		this.changed('dequeue');
+		return item;
 	}
 
 	remove(index) {
-        return this.internal.splice(index, 1);
+		const removed = this.mode === QueueMode.Fair ? this.removePositions([this.positionOf(index)]) : this.internal.splice(index, 1);
+		this.changed('remove');
+		return removed;
 	}
-    
+
 	clear() {
         this.internal = [];
+		this.front = [];
+		this.subQueues = [];
+		this.changed('clear');
+	}
+
+	/**
+	 * Called at the end of every method that modifies the queue. In fair mode it rebuilds 'internal' from the sub-queues (and drops the sub-queues
+	 * of people who have no tracks left) before letting everyone know the queue changed
+	 */
+	changed(op) {
+		if (this.mode === QueueMode.Fair) {
+			this.subQueues = this.subQueues.filter(subQueue => subQueue.tracks.length > 0);
+			this.internal = this.positions().map(([array, i]) => array[i]);
+		}
+
+		this.emit('change', op);
+	}
+
+	// Fair mode: adds tracks to the end of their requester's sub-queue. People who don't have one yet get one at the end of the rotation
+	addToSubQueues(items) {
+		for (let item of items) {
+			let subQueue = this.subQueues.find(subQueue => subQueue.requestedBy === item.requestedBy);
+
+			if (!subQueue) {
+				subQueue = { requestedBy: item.requestedBy, tracks: [] };
+				this.subQueues.push(subQueue);
+			}
+
+			subQueue.tracks.push(item);
+		}
+	}
+
+	/**
+	 * @returns where each track is stored, in the order they will play, as [array, index] pairs. In FIFO mode the array is always 'internal',
+	 * in fair mode it is 'front' or the tracks of a sub-queue
+	 */
+	positions() {
+		if (this.mode !== QueueMode.Fair)
+			return this.internal.map((_, i) => [this.internal, i]);
+
+		const positions = this.front.map((_, i) => [this.front, i]);
+		const rounds = Math.max(0, ...this.subQueues.map(subQueue => subQueue.tracks.length));
+
+		for (let round = 0; round < rounds; round++)
+			for (let { tracks } of this.subQueues)
+				round < tracks.length && positions.push([tracks, round]);
+
+		return positions;
+	}
+
+	positionOf(index) {
+		return this.mode === QueueMode.Fair ? this.positions()[index] : [this.internal, index];
+	}
+
+	// Removes the tracks at these positions (see positions()) and returns them in the order they were given. Removing the highest index of each
+	// array first keeps the other indices valid
+	removePositions(positions) {
+		const removed = positions.map(([array, i]) => array[i]);
+
+		[...positions]
+			.sort(([, a], [, b]) => b - a)
+			.forEach(([array, i]) => array.splice(i, 1));
+
+		return removed;
 	}
-}
\ No newline at end of file
+}
@@ -0,0 +1,122 @@
+import { Track } from './track.js';
+import { getSpotifySongsFromURL, parseSpotifyURL } from '../api-functions/spotify-functions.js';
+import { parseYoutubeURL, getYoutubePlaylistVideos } from '../api-functions/youtube-functions.js';
+
+/**
+ * A resolver turns what a user typed after /play (or /next, /now) into Tracks. Each source of music (youtube videos, spotify links, etc) has its own resolver:
+ *
+ * - name: what this source is called in replies, e.g "This command cannot be used with youtube playlists"
+ * - matches(input, { beginningOfQueue }): whether this resolver handles the input. Resolvers are checked in the order they were registered
+ * - canEnqueueFirst(input): whether the input can be used with /next and /now (e.g a playlist can't, since it would bury the rest of the queue)
+ * - resolve(input, requester): returns { tracks } for a single song, { tracks, collection, shuffleByDefault } for a collection of songs
+ *   ('collection' describes it, e.g "the spotify album"), or { error } with a message for the user if it couldn't find anything.
+ *   'requester' is { requestedBy, requestedByName } (the user ID and nickname of whoever typed the command) and is passed on to every Track
+ *
+ * If no resolver matches, the input is treated as a youtube search (see searchResolver below)
+ */
+const resolvers = [];
+
+export function registerResolver(resolver) {
+	resolvers.push(resolver);
+}
+
+/**
+ * @returns the resolver that handles this input. There is always one since anything can be searched for
+ */
+export function findResolver(input, { beginningOfQueue = false } = {}) {
+	return resolvers.find(resolver => resolver.matches(input, { beginningOfQueue })) ?? searchResolver;
+}
+
+// /play <YOUTUBE_PLAYLIST_URL> (or a video URL that is part of a playlist or mix). With /next and /now the video resolver below takes the video instead
+registerResolver({
+	name: 'youtube playlists',
+	matches: (input, { beginningOfQueue }) => {
+		const youtubeLink = parseYoutubeURL(input);
+		return !!youtubeLink?.playlistId && !(beginningOfQueue && youtubeLink.videoId);
+	},
+	canEnqueueFirst: () => false,
+	async resolve(input, requester) {
+		const youtubeLink = parseYoutubeURL(input);
+		const playlist = await getYoutubePlaylistVideos(youtubeLink.playlistURL);
+
+		if (!playlist || playlist.videos.length === 0)
+			return { error: 'Could not get playlist information. Please make sure the youtube URL is correct, or try again later' };
+
+		// If the link was to a video inside of the playlist, start from that video like youtube does
+		let videos = playlist.videos;
+		const startIndex = videos.findIndex(video => video.youtube_url === youtubeLink.videoURL);
+		startIndex > 0 && (videos = videos.slice(startIndex));
+
+		// Like spotify tracks, these aren't loaded until they are taken from the queue. We just already know their URL
+		const tracks = videos.map(video => Track.fromYoutubePlaylistInfo({ ...video, ...requester }));
+
+		return { tracks, collection: `the youtube playlist ${"`" + playlist.title + "`"}`, shuffleByDefault: false };
+	},
+});
+
+// /play <YOUTUBE_URL> (youtu.be short links, youtube music links, etc are normalised by parseYoutubeURL)
+registerResolver({
+	name: 'youtube videos',
+	matches: (input) => !!parseYoutubeURL(input)?.videoId,
+	canEnqueueFirst: () => true,
+	async resolve(input, requester) {
+		const track = await Track.fromURL({ youtube_url: parseYoutubeURL(input).videoURL, ...requester });
+		if (!track)
+			return { error: 'Error queuing up track. Make sure the URL is valid, or try again later' };
+		return { tracks: [track] };
+	},
+});
+
+// /play <SPOTIFY_URL> (a playlist, album, single track, or artist)
+registerResolver({
+	name: 'spotify playlists, albums, or artists',
+	matches: (input) => !!parseSpotifyURL(input),
+	canEnqueueFirst: (input) => parseSpotifyURL(input).type === 'track',
+	async resolve(input, requester) {
+		const { type } = parseSpotifyURL(input);
+		const result = await getSpotifySongsFromURL(input);
+
+		if (!result || result.songs.length === 0)
+			return { error: `Could not get ${type} information. Please make sure spotify URL is correct, or try again later` };
+
+		// Map all of our spotify songs to spotify tracks. These spotify tracks differ from youtube tracks in the sense that their youtube_title and youtube_url (and alternates)
+		// are not calculated until the moment that the track is about to be played
+		const tracks = result.songs.map(spotifySong =>
+			Track.fromSpotifyInfo({
+				spotify_image_url: spotifySong.image_url,
+				spotify_title: spotifySong.title,
+				spotify_authors: spotifySong.authors?.map(author => author.name),
+				...requester
+			}));
+
+		// A single track goes through the same path as a youtube video so that it works with /next and /now
+		if (type === 'track')
+			return { tracks };
+
+		// Playlists get shuffled unless they say otherwise, but albums and top tracks are meant to be listened to in order
+		return { tracks, collection: `the spotify ${type === 'artist' ? "artist's top tracks" : type}`, shuffleByDefault: type === 'playlist' };
+	},
+});
+
+// /play <AUDIO_FILE_URL>, e.g https://example.com/song.mp3
+registerResolver({
+	name: 'audio file links',
+	matches: (input) => /^https?:\/\/\S+\.(mp3|ogg|oga|opus|wav|flac|m4a|aac|webm)(\?\S*)?$/i.test(input.trim()),
+	canEnqueueFirst: () => true,
+	async resolve(input, requester) {
+		return { tracks: [Track.fromAudioFileURL({ url: input.trim(), ...requester })] };
+	},
+});
+
+// /play <YOUTUBE_TITLE> (aka song name). Used when no other resolver matches
+const searchResolver = {
+	name: 'searches',
+	matches: () => true,
+	canEnqueueFirst: () => true,
+	async resolve(input, requester) {
+		const track = await Track.fromSearch({ searchString: input, ...requester });
+		if (!track)
+			return { error: 'Could not find any tracks based on that search. Try using a less specific search' };
+		return { tracks: [track] };
+	},
+};
@@ -0,0 +1,20 @@
+import { EventEmitter } from 'node:events';
+
+/**
+ * Every subscription and track emits its lifecycle events here, so that parts of the bot that aren't tied to a single subscription (e.g the
+ * dashboard's WebSocket, which people connect to before anything is playing) can follow every guild from one place. Every listener gets the
+ * subscription the event is about first:
+ *
+ *   'subscriptionStart' (subscription)           a subscription was created
+ *   'subscriptionEnd'   (subscription)           a subscription was terminated
+ *   'trackStart'        (subscription, track)    a track started playing (Track.onStart)
+ *   'trackFinish'       (subscription, track)    a track finished playing (Track.onFinish)
+ *   'trackError'        (subscription, track, error)
+ *   'queueChange'       (subscription, op)       the queue changed. 'op' is the name of the Queue method that changed it, e.g 'swap'
+ */
+const subscriptionEvents = new EventEmitter();
+
+// One listener per dashboard connection is normal, so there is no sensible limit
+subscriptionEvents.setMaxListeners(0);
+
+export default subscriptionEvents;
@@ -7,18 +7,55 @@ import {
 	VoiceConnectionStatus,
 } from '@discordjs/voice';
 
-import { VoiceChannel } from 'discord.js';
+import { Collection, VoiceChannel } from 'discord.js';
 
 import { promisify } from 'node:util';
-import Queue from './queue.js';
+import Queue, { QueueMode } from './queue.js';
+import { Track, timestampToMs } from './track.js';
+import { addToHistory } from './history.js';
+import { ControlPanel } from './control-panel.js';
+import JsonStore from '../storage/json-store.js';
+import { getGuildSetting, setGuildSetting } from '../storage/guild-settings.js';
+import { createLogger } from '../logger.js';
+import { Gauge, reconnects, prefetches } from '../monitoring/metrics.js';
+import subscriptionEvents from './subscription-events.js';
 
 const wait = promisify(setTimeout);
 
+const log = createLogger('subscription');
+
+// How long before the current track ends the download of the next one is started (see prefetchNext). Starting it any earlier would leave
+// youtube-dl waiting on a full pipe for longer than youtube keeps the connection open
+const PREFETCH_WARM_UP = 20e3;
+
+// Queue changes that always throw away the prepared track, even if it happens to still be next (see prefetchNext)
+const REORDERING_OPS = ['swap', 'remove', 'shuffle', 'jump'];
+
+// Every subscription gets a number so the logs of a guild's different subscriptions (e.g before and after /stop) can be told apart
+let subscriptionCount = 0;
+
 /**
  * Maps guild IDs to music subscriptions. Each music subscription holds a queue, audioplayer, and an active voice connection for the guild it is mapped to
  */
 export const subscriptions = new Map();
 
+new Gauge('musicbot_subscriptions_active', 'Guilds the bot is currently playing in', () => subscriptions.size);
+new Gauge('musicbot_queue_length', 'Tracks waiting in each queue', () => [...subscriptions.values()].map(subscription => ({ labels: { guild_id: subscription.guildId }, value: subscription.queue.length() })));
+
+/**
+ * The different ways a subscription can loop. 'track' replays the track that just finished, 'queue' puts it back at the end of the queue
+ */
+export const LoopMode = {
+	Off: 'off',
+	Track: 'track',
+	Queue: 'queue',
+};
+
+/**
+ * Maps guild IDs to the last saved state of their music subscription (see MusicSubscription.toJSON). This is what lets queues survive the bot restarting
+ */
+const savedSubscriptions = new JsonStore('subscriptions.json');
+
 /**
  * Looks for an existing Music Subscription for the guild that this voice channel exists on. If one doesn't already exist, it will
  * automatically create one. If one already exists, it will move it to the specified voice channel. It will also update the subscription's
@@ -54,11 +91,76 @@ export function getOrCreateSubscription(voiceChannel, textChannel) {
 
 	// If a subscription does not already exist: we create a new one, add it to the subscription map, and return it
 	subscription = new MusicSubscription(voiceConnection, textChannel, guildId);
-	subscription.voiceConnection.on('error', (err) => console.log('subscription.voiceConnection ran into an error: ', err));
+	subscription.voiceConnection.on('error', (err) => subscription.log.error('The voice connection ran into an error', { err }));
 	subscriptions.set(voiceChannel.guild.id, subscription);
 	return subscription;
 }
 
+/**
+ * Immediately writes the state of every active subscription to the disk. This is called right before the process exits (e.g the daily Heroku restart)
+ * so that restoreSubscriptions() can pick up where we left off, including how far into the current track we were
+ */
+export function saveAllSubscriptions() {
+	subscriptions.forEach((subscription) => subscription.saveState());
+	savedSubscriptions.saveSync();
+}
+
+/**
+ * Recreates every subscription that was saved to the disk before the bot last shut down. For each one, the bot rejoins the voice channel it was in,
+ * rebuilds the queue, and resumes the track that was playing from roughly where it was cut off. Called once the client is ready
+ * 
+ * @param {import('discord.js').Client} client the logged in client, used to look up the saved voice and text channels
+ */
+export async function restoreSubscriptions(client) {
+	for (const [guildId, saved] of savedSubscriptions.entries()) {
+		try {
+			// Nothing was playing and nothing was queued, so there is nothing worth rejoining for
+			if (!saved.currentTrack && saved.queue.length === 0) {
+				savedSubscriptions.delete(guildId);
+				continue;
+			}
+
+			const voiceChannel = await client.channels.fetch(saved.voiceChannelId);
+			const textChannel = await client.channels.fetch(saved.textChannelId);
+
+			if (!voiceChannel?.isVoice() || !textChannel?.isText()) {
+				log.warn('Could not restore a subscription because its voice or text channel no longer exists', { guildId });
+				savedSubscriptions.delete(guildId);
+				continue;
+			}
+
+			const subscription = getOrCreateSubscription(voiceChannel, textChannel);
+
+			const tracks = saved.queue.map((data) => Track.fromJSON(data));
+
+			// The track that was playing goes back to the front of the queue, and will start from where it was cut off
+			const currentTrack = saved.currentTrack && Track.fromJSON(saved.currentTrack);
+			currentTrack && (currentTrack.startOffset = saved.playbackPosition ?? 0);
+
+			for (let track of [currentTrack, ...tracks])
+				track && (track.subscription = subscription);
+
+			subscription.loopMode = saved.loopMode ?? LoopMode.Off;
+			subscription.filters = saved.filters ?? {};
+
+			// enqueueFirst makes sure the current track plays first even in fair mode (where enqueue would put it in its requester's turn)
+			const unlockQueue = await subscription.queue.acquireLock();
+			subscription.queue.enqueue(...tracks);
+			currentTrack && subscription.queue.enqueueFirst(currentTrack);
+			unlockQueue();
+
+			subscription.log.info('Restored the subscription', { tracks: subscription.queue.length() });
+			await textChannel.send(`I'm back! Restored the queue from before the restart (${"`" + subscription.queue.length() + "`"} songs)`);
+
+			void subscription.processQueue();
+		}
+		catch (err) {
+			log.error('Could not restore a subscription', { guildId, err });
+			savedSubscriptions.delete(guildId);
+		}
+	}
+}
+
 /**
  * A MusicSubscription is a guild-specific audio playing class. Each guild that this bot is playing on will have its own MusicSubscription
  * stored in memory on this app. The music subscriptions are accessed via the 'subscriptions' map defined above. 
@@ -73,19 +175,68 @@ export function getOrCreateSubscription(voiceChannel, textChannel) {
  */
 export class MusicSubscription {
 
-	constructor(voiceConnection, textChannel, guildId) {
+	/**
+	 * @param {import('@discordjs/voice').AudioPlayer} audioPlayer only the tests pass one in (a fake that they can move between states themselves)
+	 */
+	constructor(voiceConnection, textChannel, guildId, audioPlayer = createAudioPlayer()) {
 		this.voiceConnection = voiceConnection;
-		this.audioPlayer = createAudioPlayer();
+		this.audioPlayer = audioPlayer;
 		this.queue = new Queue();
+		this.queue.setMode(getGuildSetting(guildId, 'queueMode', QueueMode.FIFO));
 		this.destroyed = false;
 		this.lastTextChannel = textChannel;
 		this.guildId = guildId
+		this.id = ++subscriptionCount;
+
+		// Every line this subscription logs says which guild and subscription it came from, and what was playing at the time. Tracks log with these too
+		this.logFields = { guildId, subscriptionId: this.id, track: () => this.getCurrentTrackTitle() };
+		this.log = log.child(this.logFields);
 
 		// This differs from the mutex. It is not for synchronizing but instead it cancels calls to processQueue() if one is in progress
 		this.queueProcessLock = false;
 
+		// The track that processQueue() has taken out of the queue but that hasn't been turned into an AudioResource yet. Without this, the track
+		// would be missing from the saved state if the bot shut down while it was loading
+		this.loadingTrack = null;
+
+		// Volume is a percentage (0 to 200). It starts at whatever this guild last set it to, so the bot doesn't blast at 100% every time it rejoins
+		this.volume = getGuildSetting(guildId, 'volume', 100);
+
+		// Maps the names of the active audio filters to their value (see filters.js)
+		this.filters = {};
+
+		// See LoopMode above. 'skipped' is set by skip() so that skipping a track in 'track' mode moves on instead of replaying it
+		this.loopMode = LoopMode.Off;
+		this.skipped = false;
+
+		// The track /previous is going back to, while the current track is being stopped for it (see goBack)
+		this.goingBackTo = null;
+
+		// The IDs of the users who voted to skip the current track with /skip (see voteSkip). Cleared whenever a track finishes
+		this.skipVotes = new Set();
+
+		// The message with the buttons that shows what is playing (see control-panel.js)
+		this.controlPanel = new ControlPanel(this);
+
+		// The next track in the queue while it is being prepared to play, as { track, warmUpTimeout } (see prefetchNext)
+		this.prefetch = null;
+
+		// Any time the queue changes, we save this subscription to the disk and update the control panel (it shows how many songs are left)
+		this.queue.on('change', (op) => {
+			this.saveState();
+			this.controlPanel.update();
+			subscriptionEvents.emit('queueChange', this, op);
+
+			// If the order changed, the track that was prepared may not be next anymore. Whatever is next now gets prepared instead
+			if (this.prefetch && (REORDERING_OPS.includes(op) || this.queue.get(0) !== this.prefetch.track))
+				this.discardPrefetch(op);
+			this.prefetchNext();
+		});
+
 		// Attach logic to the VoiceConnection to implement error recovery and reconnection logic
-		this.voiceConnection.on('stateChange', async (_, newState) => {
+		this.voiceConnection.on('stateChange', async (oldState, newState) => {
+
+			this.log.info('Voice connection state changed', { event: 'voiceConnection.transition', from: oldState.status, to: newState.status, reason: newState.reason, closeCode: newState.closeCode });
 
 			if (newState.status === VoiceConnectionStatus.Disconnected) {
 
@@ -94,29 +245,33 @@ export class MusicSubscription {
 				if (newState.reason === VoiceConnectionDisconnectReason.WebSocketClose && newState.closeCode === 4014) {
 					try {
 						// Probably moved voice channel, give it 5 seconds to join back, else destroy it
-						console.log("Situation A (WebSocketClose 4014, possibly recoverable, we will give it 5 seconds)")
+						this.log.warn('Situation A (WebSocketClose 4014, possibly recoverable, we will give it 5 seconds)', { event: 'voiceConnection.recovery', situation: 'A' });
+						reconnects.inc({ situation: 'A', outcome: 'attempt' });
 						await entersState(this.voiceConnection, VoiceConnectionStatus.Connecting, 5e3);
 					} catch {
 						// Probably got disconnected manually
-						console.log("Situation A recovery failed")
+						this.log.warn('Situation A recovery failed', { event: 'voiceConnection.recoveryFailed', situation: 'A' });
+						reconnects.inc({ situation: 'A', outcome: 'failed' });
 						this.voiceConnection.destroy();
 					}
 				}
 
 				// The disconnect in this case is recoverable, try and rejoin (5 max attempts)
 				else if (this.voiceConnection.rejoinAttempts < 5) {
-					console.log("Situation B (disconnected, but possibly recoverable)")
+					this.log.warn('Situation B (disconnected, but possibly recoverable)', { event: 'voiceConnection.recovery', situation: 'B', rejoinAttempts: this.voiceConnection.rejoinAttempts });
+					reconnects.inc({ situation: 'B', outcome: 'attempt' });
 					await wait(5e3);
 					this.voiceConnection.rejoin();
 				} else {
-					console.log("Situation B recovery failed (ran out of rejoin attempts) ")
+					this.log.warn('Situation B recovery failed (ran out of rejoin attempts)', { event: 'voiceConnection.recoveryFailed', situation: 'B' });
+					reconnects.inc({ situation: 'B', outcome: 'failed' });
 					this.voiceConnection.destroy();
 				}
 			}
 
 			// Whenever voice connection is destroyed, this subscription will also be destroyed and the queue will be lost for this guild
 			else if (newState.status === VoiceConnectionStatus.Destroyed) {
-				console.log("The state of the voice connection changed to 'destroyed' so this subscription will end and the queue will be lost")
+				this.log.info("The state of the voice connection changed to 'destroyed' so this subscription will end and the queue will be lost");
 				this.terminate();
 			}
 
@@ -125,10 +280,12 @@ export class MusicSubscription {
 			else if (!this.readyLock && (newState.status === VoiceConnectionStatus.Connecting || newState.status === VoiceConnectionStatus.Signalling)) {
 				this.readyLock = true;
 				try {
-					console.log("Situation D (vc status changed to 'connecting' or 'signalling'. We give it 15 seconds to reach the 'ready' state)")
+					this.log.info("Situation D (vc status changed to 'connecting' or 'signalling'. We give it 15 seconds to reach the 'ready' state)", { event: 'voiceConnection.recovery', situation: 'D' });
+					reconnects.inc({ situation: 'D', outcome: 'attempt' });
 					await entersState(this.voiceConnection, VoiceConnectionStatus.Ready, 15e3);
 				} catch {
-					console.log("Situation D follow up failed (the voice connection did not get to the 'ready' state within 15 seconds of reaching the 'Connecting/Signalling' state")
+					this.log.warn("Situation D follow up failed (the voice connection did not get to the 'ready' state within 15 seconds of reaching the 'Connecting/Signalling' state)", { event: 'voiceConnection.recoveryFailed', situation: 'D' });
+					reconnects.inc({ situation: 'D', outcome: 'failed' });
 					if (this.voiceConnection.state.status !== VoiceConnectionStatus.Destroyed) this.voiceConnection.destroy();
 				} finally {
 					this.readyLock = false;
@@ -139,18 +296,38 @@ export class MusicSubscription {
 		// Attach logic to the AudioPlayer to implement an event driven queue that doesn't lock/freeze up (unless we want it to)
 		this.audioPlayer.on('stateChange', async (oldState, newState) => {
 
-			console.log(`AudioPlayer state changed from ${oldState.status} to ${newState.status}`)
+			this.log.info('Audio player state changed', { event: 'audioPlayer.transition', from: oldState.status, to: newState.status, queueLength: this.queue.length() });
+
+			this.controlPanel.update();
 
 			// If the Idle state is entered from a non-Idle state, it means that an audio resource has finished playing. It could also mean that it went from the Buffering state to
 			// the Idle state (which means youtube-dl-exec ran into exit code 1). Based on which situation it is, this block will either automatically process the queue or wait for
 			// the track to try to replay
 			if (newState.status === AudioPlayerStatus.Idle && oldState.status !== AudioPlayerStatus.Idle) {
 
-				console.log('Situation E: AudioPlayer changed from non idle to idle, so the queue will be processed again since the track is done playing. If a new track is not playing within 90 seconds the vc will be destroyed which will end this subscription');
+				this.log.debug('Situation E: AudioPlayer changed from non idle to idle, so the queue will be processed again since the track is done playing. If a new track is not playing within 90 seconds the vc will be destroyed which will end this subscription', { situation: 'E' });
 
 				const currentTrack = (oldState.resource).metadata;
+
+				// Tracks that failed to play already have 'finished' set to true (see spawnErrorHandler inside track.js) and have either been re-queued or given up on
+				const finishedPlaying = !currentTrack.finished;
+				const skipped = this.skipped;
+				const goingBackTo = this.goingBackTo;
+				this.skipped = false;
+				this.goingBackTo = null;
+				this.skipVotes.clear();
+
 				currentTrack.onFinish();
 
+				// This is awaited so the track is back in the queue before processQueue() looks at it
+				if (finishedPlaying && goingBackTo) {
+					await this.putBackBehind(currentTrack, goingBackTo);
+				}
+				else if (finishedPlaying) {
+					addToHistory(this.guildId, currentTrack);
+					await this.loopTrack(currentTrack, skipped);
+				}
+
 				// If wait is set to true for this subscription, the queue won't process naturally as a result of the AudioPlayer entering the idle state
 				if (!this.wait) {
 					void this.processQueue();
@@ -161,6 +338,7 @@ export class MusicSubscription {
 				}
 				catch {
 					if (!this.destroyed) {
+						this.log.info('Leaving since nothing played for 90 seconds', { event: 'subscription.idleDisconnect' });
 						await this.lastTextChannel.send("Left the channel because you guys weren't giving me attention :(")
 
 						// If it is not already destroyed (e.g: it was disconnected and was unable to automatically reconnect, or it wasn't able to ever reach the 'ready' state (situations A and D)))
@@ -173,25 +351,127 @@ export class MusicSubscription {
 			// If the Playing state has been entered, then a new track has started playback ***OR*** it recovered from one of the situations above (such as situation A) (which is why we wrap the methods to ensure they are only called once).
 			else if (newState.status === AudioPlayerStatus.Playing) {
 				(newState.resource).metadata.onStart();
+				this.saveState();
+				this.prefetchNext();
 			}
 		});
 
 		this.audioPlayer.on('error', (error) => {
-			console.log('audio player ran into an error', error);
+			this.log.error('The audio player ran into an error', { err: error });
 			(error.resource).metadata.onError(error);
 		});
 
 		voiceConnection.subscribe(this.audioPlayer);
+
+		subscriptionEvents.emit('subscriptionStart', this);
 	}
 
 	skip() {
+		this.skipped = true;
 		this.audioPlayer.stop(true);
 	}
 
-	// Terminates this subscription
-	async terminate() {
+	/**
+	 * Plays 'track' (taken out of the history by /previous) right now. The current track didn't actually finish, so it isn't added to the history
+	 * and goes back to the front of the queue behind 'track' instead. That way using /previous again goes further back rather than returning to
+	 * the track that was just left, and skipping 'track' carries on where things were
+	 *
+	 * @param {Track} track the track to go back to
+	 */
+	async goBack(track) {
+		if (this.audioPlayer.state.status === AudioPlayerStatus.Idle) {
+			const unlockQueue = await this.queue.acquireLock();
+			this.queue.enqueueFirst(track);
+			unlockQueue();
+			return void this.processQueue();
+		}
+
+		// The audio player going idle puts both tracks in the queue (see putBackBehind) and processes it
+		this.goingBackTo = track;
+		this.audioPlayer.stop(true);
+	}
+
+	/**
+	 * Puts the track that /previous interrupted back at the front of the queue, with the track being gone back to in front of it
+	 *
+	 * @param {Track} interrupted the track that was playing
+	 * @param {Track} track the track to go back to
+	 */
+	async putBackBehind(interrupted, track) {
+		interrupted.resetForReplay();
+
+		const unlockQueue = await this.queue.acquireLock();
+		this.queue.enqueueFirst(interrupted);
+		this.queue.enqueueFirst(track);
+		unlockQueue();
+	}
+
+	/**
+	 * Counts a vote to skip the current track, and skips it if enough of the people listening have voted. Used by /skip for people who aren't
+	 * allowed to skip the track outright (see permissions.js)
+	 * 
+	 * @param {string} userId the user voting. Voting twice doesn't count twice
+	 * @returns {{ votes: number, required: number, skipped: boolean }} the votes so far, how many are needed, and whether the track got skipped
+	 */
+	voteSkip(userId) {
+		this.skipVotes.add(userId);
+
+		const { votes, required } = this.getSkipVotes();
+		const skipped = votes >= required;
+
+		skipped ? this.skip() : this.controlPanel.update();
+		return { votes, required, skipped };
+	}
+
+	/**
+	 * Only votes from people who are still in the voice channel count, and the votes needed is a fraction (the guild's 'voteSkipFraction' setting,
+	 * half by default) of the people in the voice channel, so people leaving can't make a skip impossible
+	 * 
+	 * @returns {{ votes: number, required: number }}
+	 */
+	getSkipVotes() {
+		const listeners = this.getListeners();
+		const votes = [...this.skipVotes].filter(userId => listeners.has(userId)).length;
+		const required = Math.max(1, Math.ceil(listeners.size * getGuildSetting(this.guildId, 'voteSkipFraction', 0.5)));
+		return { votes, required };
+	}
+
+	/**
+	 * @returns {Collection<string, import('discord.js').GuildMember>} the members (not bots) in the voice channel the bot is in, mapped by their user ID
+	 */
+	getListeners() {
+		const voiceChannel = this.lastTextChannel.guild.channels.cache.get(this.voiceConnection.joinConfig.channelId);
+		return voiceChannel?.members.filter(member => !member.user.bot) ?? new Collection();
+	}
+
+	/**
+	 * Puts a track that just finished back into the queue based on the loop mode. In 'track' mode it goes to the front of the queue so it plays again
+	 * (unless it was skipped, since then they obviously want to hear something else), in 'queue' mode it goes to the end of the queue
+	 * 
+	 * @param {Track} track the track that just finished
+	 * @param {boolean} skipped whether the track finished because it was skipped
+	 */
+	async loopTrack(track, skipped) {
+		if (this.loopMode === LoopMode.Off || (this.loopMode === LoopMode.Track && skipped))
+			return;
+
+		track.resetForReplay();
+
+		const unlockQueue = await this.queue.acquireLock();
+		if (this.loopMode === LoopMode.Track)
+			this.queue.enqueueFirst(track);
+		else
+			this.queue.enqueue(track);
+		unlockQueue();
+	}
+
+	// Terminates this subscription. Its saved state is deleted as well unless preserveSavedState is true
+	async terminate(preserveSavedState = false) {
 		this.destroyed = true;
 
+		if (!preserveSavedState)
+			savedSubscriptions.delete(this.guildId);
+
 		const unlockQueue = await this.queue.acquireLock();
 		this.queue.clear();
 		unlockQueue();
@@ -202,12 +482,210 @@ export class MusicSubscription {
 			this.voiceConnection.destroy();
 
 		subscriptions.delete(this.guildId);
+		subscriptionEvents.emit('subscriptionEnd', this);
+
+		await this.controlPanel.disable();
 	}
 
 	nowPlaying() {
 		return this.audioPlayer.state.resource.metadata;
 	}
 
+	// For the logs. While a track is loading, it is the track being loaded
+	getCurrentTrackTitle() {
+		const track = this.audioPlayer.state.resource?.metadata ?? this.loadingTrack;
+		return track ? track.youtube_title ?? track.spotify_title : undefined;
+	}
+
+	/**
+	 * Changes the volume of the current track immediately, and of every track played after it. The volume is also saved as this guild's default
+	 * 
+	 * @param {number} volume a percentage from 0 to 200
+	 */
+	setVolume(volume) {
+		this.volume = volume;
+		this.audioPlayer.state.resource?.volume?.setVolume(volume / 100);
+		setGuildSetting(this.guildId, 'volume', volume);
+		this.controlPanel.update();
+	}
+
+	/**
+	 * @param {string} loopMode one of the values of LoopMode
+	 */
+	setLoopMode(loopMode) {
+		this.loopMode = loopMode;
+		this.saveState();
+		this.controlPanel.update();
+	}
+
+	/**
+	 * Replaces the active audio filters. If a track is playing, it is restarted at about the same position so the change can be heard right away
+	 * 
+	 * @param {Object<string, number|null>} filters maps filter names to their values (see filters.js)
+	 */
+	async setFilters(filters) {
+		this.filters = filters;
+		this.saveState();
+
+		const { status } = this.audioPlayer.state;
+		if (status === AudioPlayerStatus.Playing || status === AudioPlayerStatus.Paused)
+			await this.seek(this.getPlaybackPosition());
+	}
+
+	/**
+	 * Restarts the stream for the current track at the given offset. The new AudioResource replaces the current one without the AudioPlayer
+	 * going idle, so the queue isn't processed and onFinish() isn't called. onStart() isn't called again either since the track already started
+	 *
+	 * If the new stream can't be started, the old one keeps playing and the track is put back the way it was before this was called
+	 * 
+	 * @param {number} offset how many milliseconds into the track playback should continue from
+	 */
+	async seek(offset) {
+		const track = this.nowPlaying();
+		const previousProcess = track.process;
+		const previousFfmpegProcess = track.ffmpegProcess;
+		const { startOffset: previousStartOffset, playbackSpeed: previousPlaybackSpeed } = track;
+
+		track.startOffset = offset;
+
+		// Stops the retry logic in Track.createAudioResource from re-queueing the track, since it is still playing
+		track.seeking = true;
+
+		let resource;
+		try {
+			resource = await track.createAudioResource();
+		}
+		catch (err) {
+			track.process !== previousProcess && track.process?.cancel();
+			track.ffmpegProcess !== previousFfmpegProcess && track.ffmpegProcess?.kill();
+
+			Object.assign(track, { process: previousProcess, ffmpegProcess: previousFfmpegProcess, startOffset: previousStartOffset, playbackSpeed: previousPlaybackSpeed });
+			track.started = true;
+			track.finished = false;
+			throw err;
+		}
+		finally {
+			track.seeking = false;
+		}
+
+		// createAudioResource() resets 'started', but we don't want the 'Now Playing' message to be sent again
+		track.started = true;
+
+		this.audioPlayer.play(resource);
+		previousProcess?.cancel();
+		previousFfmpegProcess?.kill();
+	}
+
+	/**
+	 * Gets the next track in the queue ready while the current one plays, so there is hardly any silence between them. Spotify tracks find their
+	 * youtube URL (and alternates) straight away, and the download is started PREFETCH_WARM_UP before the current track ends (see Track.warmUp).
+	 * Called whenever a track starts (or resumes) playing and whenever the queue changes
+	 */
+	prefetchNext() {
+		const next = this.queue.get(0);
+
+		// When looping the current track, it is the one that plays next rather than the queue
+		if (!next || !this.audioPlayer.state.resource || this.destroyed || this.loopMode === LoopMode.Track)
+			return;
+
+		// It is already being prepared, but the current track may have been paused or seeked since, which moves its end
+		if (this.prefetch?.track === next) {
+			if (next.youtube_url)
+				this.scheduleWarmUp(this.prefetch);
+			return;
+		}
+
+		if (this.prefetch)
+			this.discardPrefetch('next track changed');
+
+		const prefetch = { track: next, warmUpTimeout: null };
+		this.prefetch = prefetch;
+
+		next.resolveYoutubeURL()
+			.then((found) => found && this.prefetch === prefetch && this.scheduleWarmUp(prefetch))
+			.catch((err) => this.log.warn('Could not prepare the next track', { err }));
+	}
+
+	/**
+	 * Warms up the prepared track's download once the current track is PREFETCH_WARM_UP from its end. If the current track was paused in the meantime,
+	 * it checks again once the new end is near. Tracks with an unknown duration (e.g audio files) aren't warmed up since we can't tell when they end
+	 */
+	scheduleWarmUp(prefetch) {
+		clearTimeout(prefetch.warmUpTimeout);
+
+		const current = this.audioPlayer.state.resource?.metadata;
+		if (!current)
+			return;
+
+		const remaining = (timestampToMs(current.durationTimestamp) - this.getPlaybackPosition()) / current.playbackSpeed;
+		if (Number.isNaN(remaining))
+			return;
+
+		if (remaining <= PREFETCH_WARM_UP)
+			return prefetch.track.warmUp();
+
+		prefetch.warmUpTimeout = setTimeout(() => this.prefetch === prefetch && this.scheduleWarmUp(prefetch), remaining - PREFETCH_WARM_UP);
+	}
+
+	// Used by processQueue() when the prepared track is the one it is about to play
+	takePrefetch() {
+		clearTimeout(this.prefetch.warmUpTimeout);
+		this.prefetch = null;
+		prefetches.inc({ outcome: 'used' });
+	}
+
+	/**
+	 * Throws away everything that was prepared for the next track. Its youtube URL is kept, since that belongs to the track wherever it is in the queue
+	 *
+	 * @param {string} reason for the logs, e.g the queue operation that changed the order
+	 */
+	discardPrefetch(reason) {
+		this.log.debug('Discarding the prepared track', { reason, prefetched: this.prefetch.track.youtube_title ?? this.prefetch.track.spotify_title });
+
+		clearTimeout(this.prefetch.warmUpTimeout);
+		this.prefetch.track.discardPrefetchedDownload();
+		this.prefetch = null;
+		prefetches.inc({ outcome: 'discarded' });
+	}
+
+	/**
+	 * @returns how many milliseconds into the current track we are, or 0 if nothing is playing
+	 */
+	getPlaybackPosition() {
+		const { resource } = this.audioPlayer.state;
+		if (!resource)
+			return 0;
+		// playbackDuration is how long the resource has played for, which only matches how far into the track we are when no filters change the speed
+		return resource.metadata.startOffset + resource.playbackDuration * resource.metadata.playbackSpeed;
+	}
+
+	/**
+	 * Saves this subscription to the disk (the write itself is debounced by the store). Does nothing once the subscription has been terminated,
+	 * otherwise clearing the queue inside of terminate() would save the subscription again right after we deleted it
+	 */
+	saveState() {
+		if (this.destroyed)
+			return;
+		savedSubscriptions.set(this.guildId, this.toJSON());
+	}
+
+	/**
+	 * Everything needed to recreate this subscription after a restart: where it was playing, what it was playing, how far into it it was, and the queue
+	 */
+	toJSON() {
+		const currentTrack = this.audioPlayer.state.resource?.metadata ?? this.loadingTrack;
+
+		return {
+			voiceChannelId: this.voiceConnection.joinConfig.channelId,
+			textChannelId: this.lastTextChannel.id,
+			loopMode: this.loopMode,
+			filters: this.filters,
+			currentTrack: currentTrack ?? null,
+			playbackPosition: this.audioPlayer.state.resource ? this.getPlaybackPosition() : currentTrack?.startOffset ?? 0,
+			queue: this.queue.getShallowClone(),
+		};
+	}
+
 	/**
 	 * Attempts to play a Track from the queue. Concurrent calls are cancelled if a call to this method is in progress
 	 */
@@ -218,16 +696,22 @@ export class MusicSubscription {
 
 		// If the queue is locked (already being processed), is empty, or the audio player is already playing something, return
 		if (this.queueProcessLock || this.audioPlayer.state.status !== AudioPlayerStatus.Idle || this.queue.length() === 0) {
-			console.log('Process Queue cancelled because queue lock, audio player status not being idle, or nothing in queue ')
+			this.log.debug('Process Queue cancelled because queue lock, audio player status not being idle, or nothing in queue', { queueProcessLock: this.queueProcessLock, status: this.audioPlayer.state.status, queueLength: this.queue.length() });
 			return unlockQueue();
 		}
 
-		console.log('Processing queue, taking out: ', this.queue.get(0)?.youtube_title ?? this.queue.get(0)?.spotify_title)
+		this.log.info('Processing queue', { next: this.queue.get(0)?.youtube_title ?? this.queue.get(0)?.spotify_title, queueLength: this.queue.length() });
 
 		// Lock the queue to guarantee that processQueue() never runs concurrently (other calls are completely ignored, not waited for like with our mutex lock for queue access)
 		this.queueProcessLock = true;
 
+		// If the next track was prepared while the last one played, it is claimed here so that taking it out of the queue doesn't throw it away
+		if (this.prefetch?.track === this.queue.get(0))
+			this.takePrefetch();
+
 		// Take the first item from the queue. This is guaranteed to exist due to the non-empty check above.
+		// (loadingTrack is set first since dequeue() triggers a save)
+		this.loadingTrack = this.queue.get(0);
 		const nextTrack = this.queue.dequeue();
 		unlockQueue();
 
@@ -235,12 +719,14 @@ export class MusicSubscription {
 			// Attempt to convert the Track into an AudioResource (i.e. start streaming the video)
 			const resource = await nextTrack.createAudioResource();
 			this.audioPlayer.play(resource);
+			this.loadingTrack = null;
 			this.queueProcessLock = false;
 		} catch (error) {
 			// If an error occurred, try the next item of the queue instead
 			// 99% of the time, we are able to recover from the error (see spawnErrorHandler inside track.js) by downloading a different youtube URL, but in
 			// the rare cases where a track is completely unable to play, we need this code block to try the next one and kickstart the natural queue flow
 			nextTrack.onError(error);
+			this.loadingTrack = null;
 			this.queueProcessLock = false;
 			return await this.processQueue();
 		}
@@ -0,0 +1,79 @@
+import { getHistory } from './history.js';
+import { getPlaylists } from './playlists.js';
+import { searchYoutube } from '../api-functions/youtube-functions.js';
+
+// Discord shows at most 25 suggestions, and both the name and the value of each one can only be 100 characters long
+const MAX_SUGGESTIONS = 25;
+const MAX_LENGTH = 100;
+
+// Searches only start once they stop typing for a moment, since discord sends an autocomplete interaction for every key they press
+const SEARCH_DEBOUNCE = 400;
+
+// Discord gives us 3 seconds to respond to an autocomplete interaction, so slow searches are given up on
+const SEARCH_TIMEOUT = 2e3;
+
+// Maps user IDs to the autocomplete interaction they sent most recently, so that older ones know they have been replaced
+const latestRequests = new Map();
+
+/**
+ * Suggestions for the 'song' option of /play, /next and /now, as { name, value } choices. The value is always the URL of a specific
+ * video, so picking a suggestion plays exactly that video instead of searching for it again. Songs that were played recently on the
+ * guild come first, then songs from the guild's saved playlists, then youtube search results
+ *
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ */
+export async function getSongSuggestions(interaction) {
+	const query = interaction.options.getFocused().trim();
+
+	// If they pasted a link, there is nothing to suggest
+	if (/^https?:\/\//i.test(query))
+		return [];
+
+	const suggestions = [];
+	const seenURLs = new Set();
+
+	const addSuggestion = (name, url) => {
+		if (!url || url.length > MAX_LENGTH || seenURLs.has(url) || suggestions.length >= MAX_SUGGESTIONS)
+			return;
+		seenURLs.add(url);
+		suggestions.push({ name: name.length > MAX_LENGTH ? name.slice(0, MAX_LENGTH - 3) + '...' : name, value: url });
+	};
+
+	const matches = (track) => (track.youtube_title ?? track.spotify_title ?? '').toLowerCase().includes(query.toLowerCase());
+
+	// Spotify tracks that never got to play don't have a youtube_url yet, so addSuggestion skips them
+	for (let { track } of getHistory(interaction.guildId).filter(({ track }) => matches(track)))
+		addSuggestion(`Recently played: ${track.youtube_title}`, track.youtube_url);
+
+	for (let playlist of getPlaylists(interaction.guildId))
+		for (let track of playlist.tracks.filter(matches))
+			addSuggestion(`${playlist.name}: ${track.youtube_title}`, track.youtube_url);
+
+	if (query.length >= 3 && suggestions.length < MAX_SUGGESTIONS && await isLatestRequest(interaction)) {
+		for (let result of await searchWithTimeout(query))
+			addSuggestion(`${result.youtube_title} (${result.durationTimestamp})`, result.youtube_url);
+	}
+
+	return suggestions;
+}
+
+// Waits a moment, then checks whether the same user sent another autocomplete interaction while we were waiting. If they did, discord will ignore
+// our response to this one anyway, so there is no point searching for it
+async function isLatestRequest(interaction) {
+	latestRequests.set(interaction.user.id, interaction.id);
+
+	await new Promise((resolve) => setTimeout(resolve, SEARCH_DEBOUNCE));
+
+	if (latestRequests.get(interaction.user.id) !== interaction.id)
+		return false;
+
+	latestRequests.delete(interaction.user.id);
+	return true;
+}
+
+// searchYoutube caches its results (see youtube-functions.js), so typing something, deleting a few letters and typing them again doesn't search
+// twice. A search that is given up on keeps going, and ends up in that cache for the next time they type it
+async function searchWithTimeout(query) {
+	const timeout = new Promise((resolve) => setTimeout(() => resolve(null), SEARCH_TIMEOUT));
+	return await Promise.race([searchYoutube({ songName: query }), timeout]) ?? [];
+}
@@ -1,17 +1,96 @@
-import { AudioPlayerStatus, createAudioResource, demuxProbe, entersState, VoiceConnectionStatus } from '@discordjs/voice';
+import { AudioPlayerStatus, createAudioResource, demuxProbe, entersState, StreamType, VoiceConnectionStatus } from '@discordjs/voice';
 
-// in the tutorial, they import { getInfo } as a named export but that doesn't work with this ES module so I do ytdl.getInfo (appears to work fine)
-import ytdl from 'ytdl-core';
+import { spawn } from 'node:child_process';
+import ffmpegPath from 'ffmpeg-static';
 
 import TimeFormat from 'hh-mm-ss';
 
 // in the tutorial they import youtubedl.raw as ytdl and use that. That function says it doesn't exist so I use .exec()
 import youtubedl from 'youtube-dl-exec';
-import { searchYoutube } from '../api-functions/youtube-functions.js';
+import { searchYoutube, parseYoutubeURL, getVideoInfo, evictUnplayableVideo } from '../api-functions/youtube-functions.js';
+import { buildFilterChain } from './filters.js';
+import { createLogger } from '../logger.js';
+import { tracksPlayed, youtubeDlSpawnFailures, replayAttempts } from '../monitoring/metrics.js';
+import subscriptionEvents from './subscription-events.js';
 
-import { MessageEmbed, MessageAttachment } from 'discord.js'
+import { MessageEmbed } from 'discord.js'
 import client from '../client.js';
 
+const log = createLogger('track');
+
+// Where tracks search for and download their videos, and what turns the downloads into something the AudioPlayer can play. The tests swap
+// these for fakes (see setTrackSources) so they can run without network access, ffmpeg or an opus encoder
+const defaultSources = {
+	exec: (...args) => youtubedl.exec(...args),
+	searchYoutube,
+	getVideoInfo,
+	createAudioResource,
+};
+let sources = defaultSources;
+
+/**
+ * @param {Partial<typeof defaultSources>} overrides e.g { exec } to replace youtubedl.exec. Whatever isn't overridden stays the same. Calling
+ * it with no overrides goes back to the real sources
+ */
+export function setTrackSources(overrides = {}) {
+	sources = { ...defaultSources, ...overrides };
+}
+
+/**
+ * Pipes the output of youtube-dl through ffmpeg, which skips to startOffset (in milliseconds), applies the filter chain (see filters.js) and
+ * outputs raw PCM that can be played by an AudioPlayer
+ * 
+ * @param {import('stream').Readable} stream the stdout of a youtube-dl process
+ * @param {object} options
+ * @param {number} options.startOffset how far into the video the output should start
+ * @param {string|null} options.filterChain an ffmpeg audio filter chain, or null for no filters
+ * @returns the ffmpeg ChildProcess. Its stdout is the stream that should be turned into an AudioResource
+ */
+function transcode(stream, { startOffset, filterChain }) {
+	const ffmpeg = spawn(ffmpegPath, [
+		'-analyzeduration', '0',
+		'-loglevel', '0',
+		...(startOffset > 0 ? ['-ss', String(startOffset / 1e3)] : []),
+		'-i', 'pipe:0',
+		...(filterChain ? ['-af', filterChain] : []),
+		'-f', 's16le',
+		'-ar', '48000',
+		'-ac', '2',
+		'pipe:1',
+	], { stdio: ['pipe', 'pipe', 'ignore'] });
+
+	ffmpeg.on('error', (err) => log.error('ffmpeg ran into an error', { err }));
+
+	// When the track is skipped ffmpeg gets killed before youtube-dl is done writing to it, which is expected so we ignore EPIPE here
+	ffmpeg.stdin.on('error', () => { });
+	stream.pipe(ffmpeg.stdin);
+
+	return ffmpeg;
+}
+
+/**
+ * Converts a timestamp like '3:14', '03:14' or '1:02:03' (or just a number of seconds like '90') to milliseconds
+ * 
+ * @param {string} timestamp
+ * @returns the timestamp in milliseconds, or NaN if it isn't a valid timestamp
+ */
+export function timestampToMs(timestamp) {
+	const parts = String(timestamp).trim().split(':');
+
+	if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part)))
+		return NaN;
+
+	return parts.reduce((seconds, part) => seconds * 60 + Number(part), 0) * 1e3;
+}
+
+/**
+ * Draws a progress bar out of text, like ▬▬▬▬🔘▬▬▬▬▬▬
+ */
+function createProgressBar(elapsed, total, size = 20) {
+	const position = total > 0 ? Math.min(Math.round((elapsed / total) * size), size - 1) : 0;
+	return '▬'.repeat(position) + '🔘' + '▬'.repeat(size - position - 1);
+}
+
 /**
  * A Track represents information about a YouTube video or Spotify song that can be added to a queue.
  * It contains the title and URL of the video, as well as functions onStart, onFinish, onError, that act
@@ -26,28 +105,73 @@ import client from '../client.js';
 
 export class Track {
 
-	constructor({ youtube_url, youtube_title, spotify_title, spotify_main_author, spotify_authors, spotify_image_url, requestedBy, durationTimestamp, onStart, onFinish, onError }) {
+	constructor({ youtube_url, youtube_title, spotify_title, spotify_main_author, spotify_authors, spotify_image_url, requestedBy, requestedByName, durationTimestamp, onStart, onFinish, onError }) {
 
 		this.youtube_url = youtube_url;        // All tracks are guaranteed to have a youtube_url and youtube_title at the time onStart() is called
-		this.youtube_title = youtube_title;    // (spotify tracks don't get theirs until the moment they are taken from the queue. Why? see Track.fromSpotifyInfo for an explanation)
+		this.youtube_title = youtube_title;    // (spotify tracks don't get theirs until they are next in the queue. Why? see Track.fromSpotifyInfo for an explanation)
+		                                       // youtube_url can also be a direct link to an audio file (see Track.fromAudioFileURL), youtube-dl downloads those just the same
 
 		this.spotify_title = spotify_title;      // only tracks that are queued up from spotify will have these properties filled out. When a spotify track plays, it
 		this.spotify_authors = spotify_authors;  // shows both spotify title and the calculated youtube title, so users can see if there is a disparity
 		this.spotify_image_url = spotify_image_url;
 		this.spotify_main_author = spotify_main_author;
 
-		this.requestedBy = requestedBy;
+		this.requestedBy = requestedBy;          // the user ID of whoever queued this track (used for permissions, see permissions.js)
+		this.requestedByName = requestedByName;  // and their nickname at the time, which is what we show
 		this.durationTimestamp = durationTimestamp;
 
 		this.currentReplayAttempt = 0;
 
+		// How many milliseconds into the video playback starts from. This is only non-zero when resuming a track part way through (e.g after a restart)
+		this.startOffset = 0;
+
+		// How fast the current AudioResource plays compared to the original video (filters like nightcore speed it up). See filters.js
+		this.playbackSpeed = 1;
+
 		this.alternate_youtube_videos = [];
+
+		// A download started before it was this track's turn (see warmUp), as { process, youtube_url }
+		this.prefetchedDownload = null;
+
+		// True while MusicSubscription.seek is restarting the stream of this track, which is still playing
+		this.seeking = false;
+	}
+
+	/**
+	 * Returns the information needed to rebuild this Track later with Track.fromJSON (used when saving queues to the disk). Things that only make sense
+	 * while the bot is running (the subscription, the youtube-dl process, lifecycle flags) are left out. Called automatically by JSON.stringify
+	 */
+	toJSON() {
+		return {
+			youtube_url: this.youtube_url,
+			youtube_title: this.youtube_title,
+			spotify_title: this.spotify_title,
+			spotify_authors: this.spotify_authors,
+			spotify_image_url: this.spotify_image_url,
+			spotify_main_author: this.spotify_main_author,
+			requestedBy: this.requestedBy,
+			requestedByName: this.requestedByName,
+			durationTimestamp: this.durationTimestamp,
+			alternate_youtube_videos: this.alternate_youtube_videos,
+		};
+	}
+
+	/**
+	 * Rebuilds a Track from the output of Track.toJSON. Spotify tracks that never got to play will still be missing their youtube_url, so they
+	 * will be searched for when they are taken from the queue just like they would have been before they were saved
+	 */
+	static fromJSON(data) {
+		// Tracks saved before requestedBy held a user ID only have the nickname, which is stored in requestedBy
+		const track = new Track({ ...data, requestedByName: data.requestedByName ?? data.requestedBy });
+		track.alternate_youtube_videos = data.alternate_youtube_videos ?? [];
+		return track;
 	}
 
 	getSpotifyAuthorString(maxAuthorCount = 0) {
-		maxAuthorCount === 0 && (maxAuthorCount = this.spotify_authors.length)
 		if (!this.spotify_authors)
 			return null;
+		// 0 means every author. Songs with fewer authors than asked for just use all of them
+		(maxAuthorCount === 0 || maxAuthorCount > this.spotify_authors.length) && (maxAuthorCount = this.spotify_authors.length)
 		let str = this.spotify_authors[0];
 		for (let i = 1; i < maxAuthorCount; i++)
 			str += ` ${this.spotify_authors[i]}`
@@ -63,42 +187,51 @@ export class Track {
 		if (this.started)
 			return;
 		this.started = true;
+		this.startedAt = Date.now();
+		tracksPlayed.inc();
+
+		this.subscription.lastTextChannel.guild.members.cache.get(client.user.id).setNickname('garnbot')
+
+		if (this.spotify_title && this.spotify_authors) {
+		//	this.subscription.lastTextChannel.guild.members.cache.get(client.user.id).setNickname(`garnbot [${this.getSpotifyAuthorString(1)}]`)
+		}
 
-		const messageData = {};
+		// Rather than sending a new 'Now Playing' message for every track, the subscription's control panel message is edited to show this track
+		this.subscription.controlPanel.update();
+		subscriptionEvents.emit('trackStart', this.subscription, this);
+	}
+
+	/**
+	 * Creates an embed showing this track with a progress bar (used by /nowplaying and the control panel). It has no attachments so that it can be
+	 * edited to keep the progress bar moving
+	 * 
+	 * @param {number} playbackPosition how many milliseconds into this track we are
+	 * @param {boolean} paused whether the audio player is paused
+	 */
+	createProgressEmbed(playbackPosition, paused = false) {
 
-		const youtubeIcon = new MessageAttachment('./assets/youtube_icon.png');
+		const total = timestampToMs(this.durationTimestamp);
+		const elapsedTimestamp = TimeFormat.fromS(Math.floor(playbackPosition / 1e3), total >= 3600e3 ? 'hh:mm:ss' : 'mm:ss');
 
 		const embed = new MessageEmbed()
 			.setColor('#0099ff')
 			.setTitle(this.youtube_title)
 			.setURL(this.youtube_url)
-			.setAuthor('Now Playing:')
-			.setDescription(`Requested by: ${"`" + this.requestedBy + "`"} \n Duration: ${"`" + this.durationTimestamp + "`"}`)
-			.setThumbnail('attachment://youtube_icon.png')
-			.setTimestamp()
-			.setFooter(`Filler text but still has less filler than Naruto Shippuden` + "\u3000".repeat(2) + "|", 'https://i.imgur.com/AfFp7pu.png');
+			.setAuthor(paused ? 'Paused:' : 'Now Playing:')
+			.setDescription(`Requested by: ${"`" + this.requestedByName + "`"} \n ${createProgressBar(playbackPosition, total)} \n ${"`" + elapsedTimestamp + " / " + this.durationTimestamp + "`"}`);
 
-		messageData.files = [youtubeIcon]
-		messageData.embeds = [embed]
-
-		this.subscription.lastTextChannel.guild.members.cache.get(client.user.id).setNickname('garnbot')
+		// Direct links to audio files don't have a thumbnail
+		const videoId = parseYoutubeURL(this.youtube_url ?? '')?.videoId;
+		videoId && embed.setThumbnail(`https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`);
 
+		// Spotify tracks show both the spotify title and the youtube title, so users can see if there is a disparity
 		if (this.spotify_title) {
-
-			if (this.spotify_authors) {
-			//	this.subscription.lastTextChannel.guild.members.cache.get(client.user.id).setNickname(`garnbot [${this.getSpotifyAuthorString(1)}]`)
-			}
-
-			if (this.spotify_image_url) {
-				embed.setThumbnail(this.spotify_image_url)
-				delete messageData.files;
-			}
-
 			embed.setTitle(`${this.getSpotifyAuthorString(1)} - ${this.spotify_title} `)
 			embed.setDescription(`Youtube Song Name: ${"`" + this.youtube_title + "`"} \n ${embed.description}`)
+			this.spotify_image_url && embed.setThumbnail(this.spotify_image_url);
 		}
 
-		await this.subscription.lastTextChannel.send(messageData);
+		return embed;
 	}
 
 	async onFinish() {
@@ -110,9 +243,15 @@ export class Track {
 
 		// If this track has a youtube-dl-exec process running, call the cancel() function after 30 seconds
 		setTimeout(this.process.cancel, 30e3);
+		// (the process is grabbed now rather than inside the timeout, in case this track gets replayed within 30 seconds and has a new one by then)
+		const ffmpegProcess = this.ffmpegProcess;
+		ffmpegProcess && setTimeout(() => ffmpegProcess.kill(), 30e3);
 
 		this.subscription.lastTextChannel.guild.members.cache.get(client.user.id).setNickname('garnbot')
-		await this.subscription.lastTextChannel.send(`Finished playing ${"`" + this.youtube_title + "`"}. There are currently ${"`" + this.subscription.queue.length() + "`"} songs left in the queue`)
+
+		// The control panel shows what finished and how many songs are left, instead of a separate message
+		this.subscription.controlPanel.update();
+		subscriptionEvents.emit('trackFinish', this.subscription, this);
 	}
 
 	async onError(error) {
@@ -122,11 +261,27 @@ export class Track {
 			return;
 		this.errored = true;
 
-		console.log('Track.onError called', this, error);
+		this.log.error('Track.onError called', { err: error, youtube_url: this.youtube_url });
+		subscriptionEvents.emit('trackError', this.subscription, this, error);
 
 		await this.subscription.lastTextChannel.send(`Ran into an error: ${error}`)
 	}
 
+	// Logs with the fields of the subscription playing this track (guild, subscription id), plus this track's title
+	get log() {
+		return log.child({ ...this.subscription?.logFields, track: this.youtube_title ?? this.spotify_title });
+	}
+
+	/**
+	 * Resets this Track so that it can be played again from the start on purpose (e.g when looping). The lifecycle flags are reset by createAudioResource()
+	 * anyways, but replay attempts and the alternate URL index only make sense within a single play-through of the track, so those are reset here
+	 */
+	resetForReplay() {
+		this.currentReplayAttempt = 0;
+		this.startOffset = 0;
+		this.errored = false;
+	}
+
 	/**
 	 * Creates an AudioResource from this Track. This track will either have a URL already so we can simply call Track.createAudioResourceFromURL(), or
 	 * a Title and Author will be supplied so we can search youtube for the most relevant video based on the title and author and find a URL then recurse
@@ -136,39 +291,30 @@ export class Track {
 		this.finished = false;
 		this.started = false;
 
-		console.log('CreateAudioResource called for: ' + (this.youtube_title ?? this.spotify_title))
+		this.log.info('CreateAudioResource called', { youtube_url: this.youtube_url, startOffset: this.startOffset });
 
 		return new Promise((resolve, reject) => {
 
 			// If they do not supply a URL, they must supply a title and an author so we can search youtube for the song and grab a URL for them
 			if (!this.youtube_url) {
 
-				searchYoutube({ songName: this.spotify_title, author: this.getSpotifyAuthorString(2), uncensoredLyrics: true }).then((searchResults) => {
+				this.resolveYoutubeURL().then((found) => {
 
-					if (!searchResults) {
+					if (!found) {
 						this.subscription.lastTextChannel.send('Could not find a Youtube URL relevant to the Spotify song `' + this.getSpotifyAuthorString() + " - " + this.spotify_title + "`. This track will be skipped.")
 						return reject('Could not find youtube URL for this spotify track');
 					}
 
-					this.youtube_url = searchResults[0].youtube_url;
-					this.youtube_title = searchResults[0].youtube_title;
-					this.durationTimestamp = searchResults[0].durationTimestamp;
-
-					for (let i = 1; i < searchResults.length; i++) {
-						this.alternate_youtube_videos[i - 1] = searchResults[i];
-					}
-
 					resolve(this.createAudioResource()); // Recurse, but this time we will have a youtube_url, so it hits the else block
-				})
+				}).catch(reject)
 			}
 
 			// Otherwise, since we already have the URL, we simply call createAudioResourceFromURL
 			else {
-				const process = youtubedl.exec(
-					this.youtube_url,
-					{ o: '-', q: '', f: 'bestaudio[ext=webm+acodec=opus+asr=48000]/bestaudio', r: '100K', },
-					{ stdio: ['ignore', 'pipe', 'ignore'] },
-				);
+				this.ffmpegProcess = null;
+
+				// If the download was started while the previous track was playing (see warmUp), we carry on with that one
+				const process = this.takePrefetchedDownload() ?? this.spawnDownload();
 
 				const stream = process.stdout;
 				this.process = process;
@@ -178,7 +324,7 @@ export class Track {
 					return;
 				}
 
-				// This is our errorHandler that is referenced below (process.once('spawn').catch(spawnErrorHandler))
+				// This is our errorHandler that is referenced below (process.catch(spawnErrorHandler))
 				// It handles errors that occur when the process that we get from youtubedl.exec spawns. What it does is
 				// it re-queues this track again at the beginning of the queue, and freezes the queue temporarily to allow
 				// this track to get processed again. This is all in an attempt to try loading it again a couple of times (max 3)
@@ -192,9 +338,18 @@ export class Track {
 					stream.resume();
 
 					if (error.shortMessage.includes("ERR_STREAM_PREMATURE_CLOSE")) 
-						return console.log("ERR_STREAM_PREMATURE_CLOSE (Skipped?)")
+						return this.log.debug('ERR_STREAM_PREMATURE_CLOSE (Skipped?)');
+
+					// We cancel the process ourselves once the track is done with it (onFinish, or seeking which /filter also does), that isn't a failure
+					if (error.isCanceled)
+						return this.log.debug('The youtube-dl process was cancelled');
 
-					console.log("Process spawning error:", error.shortMessage);
+					this.log.warn('Process spawning error', { event: 'youtubedl.spawnError', exitCode: error.exitCode, shortMessage: error.shortMessage, youtube_url: this.youtube_url });
+					youtubeDlSpawnFailures.inc({ exit_code: error.exitCode ?? 'unknown' });
+
+					// When seeking, the stream from before the seek is still playing, so there is nothing to retry or re-queue (see MusicSubscription.seek)
+					if (this.seeking)
+						return reject(error);
 
 					// Sometimes the video fails to download with exit code 1. Usually trying 1 more attempt after fixes the issue.
 					// In rarer cases, sometimes a youtube URL doesn't work at all with youtubedl.exec no matter how many times we try
@@ -219,10 +374,15 @@ export class Track {
 							// After the second failed replay, it will switch the URL to an alternate one if one exists for the next attempt to load
 							if (this.currentReplayAttempt >= 2) {
 
+								// This URL has failed at least twice, so make sure it isn't handed out again from the search cache
+								evictUnplayableVideo(this.youtube_url);
+
 								// After the second replay attempt we will use alternates[0], on the after the third it will use alternates[1]... etc
 								const alternateVideo = this.alternate_youtube_videos[this.currentReplayAttempt - 2];
 
 								// If we have an alternate video at this position...
+								replayAttempts.inc({ kind: alternateVideo ? 'alternate' : 'retry' });
+
 								if (alternateVideo) {
 
 									await this.subscription.lastTextChannel.send(`Failed to play ${"`" + this.youtube_title + "`"}, Trying again with a different youtube URL (${4 - this.currentReplayAttempt} attempts left after this attempt)`)
@@ -236,6 +396,7 @@ export class Track {
 								}
 							}
 							else {
+								replayAttempts.inc({ kind: 'retry' });
 								await this.subscription.lastTextChannel.send(`Failed to play ${"`" + this.youtube_title + "`"}, Trying again (${4 - this.currentReplayAttempt} attempts left after this attempt)`)
 							}
 
@@ -247,6 +408,8 @@ export class Track {
 							void this.subscription.processQueue();
 						}
 						else {
+							replayAttempts.inc({ kind: 'gave_up' });
+							evictUnplayableVideo(this.youtube_url);
 							await this.subscription.lastTextChannel.send(`Failed to play ${"`" + this.youtube_title + "`"}`);
 							this.subscription.skip(); // Force stop the AudioPlayer so it never reaches 'playing' state from buffering state for a brief moment (we don't want onStart() to get called for a track that completely failed to play)
 						}
@@ -255,24 +418,132 @@ export class Track {
 					reject("Error occured during the spawn of the process downloaded from youtube-download-exec");
 				};
 
-				process.once('spawn', async () => {
+				const spawnHandler = async () => {
 					try {
-						const { stream: probedStream } = await demuxProbe(stream);
+						let resource;
+
+						const { chain: filterChain, speed } = buildFilterChain(this.subscription.filters);
+						this.playbackSpeed = speed;
 
-						// Any time you see audioPlayer.state.audioResource.metadata (like in subscription.js) you know it's referring to the current track
-						resolve(createAudioResource(probedStream, { metadata: this }));
+						// youtube-dl can only download a video from the beginning, so when we need to start part way through it we let ffmpeg throw away everything
+						// before the offset. ffmpeg is also what applies the audio filters
+						if (this.startOffset > 0 || filterChain) {
+							this.ffmpegProcess = transcode(stream, { startOffset: this.startOffset, filterChain });
+							resource = sources.createAudioResource(this.ffmpegProcess.stdout, { inputType: StreamType.Raw, metadata: this, inlineVolume: true });
+						}
+						else {
+							const { stream: probedStream } = await demuxProbe(stream);
+
+							// Any time you see audioPlayer.state.audioResource.metadata (like in subscription.js) you know it's referring to the current track
+							resource = sources.createAudioResource(probedStream, { metadata: this, inlineVolume: true });
+						}
+
+						// Inline volume is what lets /volume change how loud a track is while it is playing
+						resource.volume.setVolume(this.subscription.volume / 100);
+						resolve(resource);
 					} 
 					catch (err) {
-						console.log('demuxProbe ran into an error', err.shortMessage);
+						this.log.error('demuxProbe ran into an error', { err });
 						reject(err)
 					}
-				}).catch(spawnErrorHandler);
+				};
+
+				// A prefetched download has usually spawned long before now, so it would be too late to wait for the event
+				if (process.spawned)
+					spawnHandler();
+				else
+					process.once('spawn', spawnHandler);
+
+				process.catch(spawnErrorHandler);
 			}
 		});
 	}
 
+	/**
+	 * Searches youtube for this track if it doesn't have a youtube_url yet (i.e it is a spotify track), and keeps the other search results as alternates.
+	 * This happens when the track is about to play, or while the track before it is playing (see MusicSubscription.prefetchNext)
+	 *
+	 * @returns true if it has a youtube_url now, false if the search didn't find anything
+	 */
+	async resolveYoutubeURL() {
+		if (this.youtube_url)
+			return true;
+
+		const searchResults = await sources.searchYoutube({ songName: this.spotify_title, author: this.getSpotifyAuthorString(2), uncensoredLyrics: true });
+
+		if (!searchResults?.length)
+			return false;
+
+		this.youtube_url = searchResults[0].youtube_url;
+		this.youtube_title = searchResults[0].youtube_title;
+		this.durationTimestamp = searchResults[0].durationTimestamp;
+
+		for (let i = 1; i < searchResults.length; i++) {
+			this.alternate_youtube_videos[i - 1] = searchResults[i];
+		}
+
+		return true;
+	}
+
+	/**
+	 * Starts youtube-dl downloading this track's video to its stdout. The process gets 'spawned' set once it has started, since a download that is
+	 * started early (see warmUp) can spawn before anything is listening for the event
+	 */
+	spawnDownload() {
+		const process = sources.exec(
+			this.youtube_url,
+			// The rate limit is lifted when starting part way through, otherwise ffmpeg would have to wait for everything before the offset to trickle in
+			// ('best' is for direct links to audio files, which youtube-dl doesn't know are audio only)
+			{ o: '-', q: '', f: 'bestaudio[ext=webm+acodec=opus+asr=48000]/bestaudio/best', r: this.startOffset > 0 ? undefined : '100K', },
+			{ stdio: ['ignore', 'pipe', 'ignore'] },
+		);
+
+		process.once('spawn', () => process.spawned = true);
+		return process;
+	}
+
+	/**
+	 * Starts the download of this track before it is its turn, so that it can start playing as soon as the track before it ends. youtube-dl
+	 * stops once the pipe to its stdout is full, so the download waits for createAudioResource() to pick it up (see takePrefetchedDownload)
+	 */
+	warmUp() {
+		if (this.prefetchedDownload || !this.youtube_url)
+			return;
+
+		this.log.debug("Starting the download before it is this track's turn", { youtube_url: this.youtube_url });
+
+		const process = this.spawnDownload();
+
+		// If it fails before it is used, createAudioResource() finds out when it adds its own handler (which retries like any other failed download).
+		// Until then this stops it from being an unhandled rejection
+		process.catch(() => { });
+
+		this.prefetchedDownload = { process, youtube_url: this.youtube_url };
+	}
+
+	/**
+	 * @returns the download started by warmUp(), or undefined if there isn't one that can be used. It can't be used if the URL changed since
+	 * (an alternate URL is being tried) or playback starts part way through (which downloads without a rate limit)
+	 */
+	takePrefetchedDownload() {
+		const download = this.prefetchedDownload;
+		this.prefetchedDownload = null;
+
+		if (download && download.youtube_url === this.youtube_url && this.startOffset === 0)
+			return download.process;
+
+		download?.process.cancel();
+	}
+
+	// Stops the download started by warmUp(), if there is one (e.g this track isn't next anymore)
+	discardPrefetchedDownload() {
+		this.prefetchedDownload?.process.cancel();
+		this.prefetchedDownload = null;
+	}
+
 	/**t
-	 * The youtube URL and alternate URLS will be computed at the time that createAudioResource() is called (i.e when it is this Track's turn to play)
+	 * The youtube URL and alternate URLS will be computed while the track before it is playing (see MusicSubscription.prefetchNext), or at the time
+	 * that createAudioResource() is called if that didn't happen (i.e when it is this Track's turn to play)
 	 * The reason for this is it takes ~500ms to search youtube to get the URL from the track info (title, author, etc) for 
 	 * each song. So if they add a 300 song spotify playlist, it would take like 5 minutes to process their request trying
 	 * to get all the links, create all the tracks, and bulk queue them. So instead we queue the songs up without a computed URL yet,
@@ -281,12 +552,48 @@ export class Track {
 	 * @param {*} author 
 	 * @returns 
 	 */
-	static fromSpotifyInfo({ spotify_image_url, spotify_title, spotify_main_author, spotify_authors, requestedBy, durationTimestamp, subscription }) {
+	static fromSpotifyInfo({ spotify_image_url, spotify_title, spotify_main_author, spotify_authors, requestedBy, requestedByName, durationTimestamp, subscription }) {
 
-		return new Track({ spotify_image_url, spotify_title, spotify_main_author, spotify_authors, requestedBy, durationTimestamp });
+		return new Track({ spotify_image_url, spotify_title, spotify_main_author, spotify_authors, requestedBy, requestedByName, durationTimestamp });
 	}
 
 
+	/**
+	 * Creates a track from one of the videos of a youtube playlist (see getYoutubePlaylistVideos). Like spotify tracks, nothing is loaded until the
+	 * track is taken from the queue, so enqueueing a huge playlist is quick. Unlike spotify tracks, we already know the youtube_url
+	 */
+	static fromYoutubePlaylistInfo({ youtube_url, youtube_title, durationTimestamp, requestedBy, requestedByName }) {
+
+		return new Track({ youtube_url, youtube_title, durationTimestamp, requestedBy, requestedByName });
+	}
+
+	/**
+	 * Creates a track from a search result the user picked themselves (see /search). No alternate videos are kept since they were specifically
+	 * asked not to be played
+	 */
+	static fromSearchResult({ youtube_url, youtube_title, durationTimestamp, requestedBy, requestedByName }) {
+
+		return new Track({ youtube_url, youtube_title, durationTimestamp, requestedBy, requestedByName });
+	}
+
+	/**
+	 * Creates a track from a direct link to an audio file (e.g https://example.com/song.mp3). We don't know the title of the song so the name of the
+	 * file is used instead, and we don't know how long it is until it plays
+	 */
+	static fromAudioFileURL({ url, requestedBy, requestedByName }) {
+
+		const fileName = new URL(url).pathname.split('/').pop();
+
+		let youtube_title;
+		try {
+			youtube_title = decodeURIComponent(fileName);
+		} catch {
+			youtube_title = fileName;
+		}
+
+		return new Track({ youtube_url: url, youtube_title, requestedBy, requestedByName, durationTimestamp: 'unknown' });
+	}
+
 	/**
 	 * Creates a track from a basic search. This is used when a user types /play <YOUTUBE_TITLE>
 	 * When it searches youtube, it sets the youtube_url for the track to the most relevant video that searchYoutube() could find.
@@ -295,12 +602,12 @@ export class Track {
 	 * @param {} param0 
 	 * @returns a track if it was able to find any search results, or null if it could not find any search results
 	 */
-	static async fromSearch({ searchString, requestedBy }) {
+	static async fromSearch({ searchString, requestedBy, requestedByName }) {
 
-		const searchResults = await searchYoutube({ songName: searchString });
+		const searchResults = await sources.searchYoutube({ songName: searchString });
 
-		if (!searchResults) {
-			console.log('Track.fromSearch will return null because no search results were found');
+		if (!searchResults?.length) {
+			log.info('Track.fromSearch will return null because no search results were found', { searchString });
 			return null;
 		}
 
@@ -308,7 +615,7 @@ export class Track {
 		const youtube_title = searchResults[0].youtube_title;
 		const durationTimestamp = searchResults[0].durationTimestamp;
 
-		const track = new Track({ youtube_title, youtube_url, requestedBy, durationTimestamp });
+		const track = new Track({ youtube_title, youtube_url, requestedBy, requestedByName, durationTimestamp });
 
 		for (let i = 1; i < searchResults.length; i++) {
 			track.alternate_youtube_videos[i - 1] = searchResults[i];
@@ -324,22 +631,14 @@ export class Track {
 	 *t
 	 * @returns The created Track
 	 */
-	static async fromURL({ youtube_url, requestedBy }) {
-		try {
-			const info = await ytdl.getInfo(youtube_url);
-
-			const { title: youtube_title, lengthSeconds } = info.videoDetails;
-			const durationTimestamp = TimeFormat.fromS(Number(lengthSeconds));
-
-			const track = new Track({ youtube_title, youtube_url, requestedBy, durationTimestamp });
+	static async fromURL({ youtube_url, requestedBy, requestedByName }) {
+		const info = await sources.getVideoInfo(youtube_url);
 
-			return track;
-		}
-		catch (err) {
-			console.log('Track.fromURL will return null because it ran into the following error:', err);
+		if (!info) {
+			log.warn('Track.fromURL will return null because the video info could not be found', { youtube_url });
 			return null;
 		}
+
+		return new Track({ youtube_title: info.youtube_title, youtube_url, requestedBy, requestedByName, durationTimestamp: info.durationTimestamp });
 	}
 }
-
-
@@ -0,0 +1,44 @@
+import { createHash, randomBytes } from 'node:crypto';
+import JsonStore from './json-store.js';
+
+/**
+ * Tokens for the dashboard API (see dashboard/rest-api.js). Each token belongs to one person on one guild, and only gives access to that guild.
+ * They are created with /dashboard token, and each person has at most one per guild (creating a new one replaces the old one).
+ *
+ * Only a hash of each token is stored (mapped to { guildId, userId, userName }), so the file is of no use to anyone who gets a copy of it
+ */
+const apiTokens = new JsonStore('api-tokens.json');
+
+function hashToken(token) {
+	return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @param {string} guildId the guild the token gives access to
+ * @param {{ requestedBy: string, requestedByName: string }} requester who the token belongs to (see getRequester in helpers.js). Songs that are
+ * enqueued with the token are requested by them
+ * @returns the token. It can't be looked up again later, since only its hash is kept
+ */
+export function createApiToken(guildId, { requestedBy, requestedByName }) {
+	revokeApiToken(guildId, requestedBy);
+
+	const token = randomBytes(24).toString('base64url');
+	apiTokens.set(hashToken(token), { guildId, userId: requestedBy, userName: requestedByName, createdAt: Date.now() });
+	return token;
+}
+
+/**
+ * @returns whether the person had a token for the guild
+ */
+export function revokeApiToken(guildId, userId) {
+	const revoked = apiTokens.entries().filter(([, owner]) => owner.guildId === guildId && owner.userId === userId);
+	revoked.forEach(([hash]) => apiTokens.delete(hash));
+	return revoked.length > 0;
+}
+
+/**
+ * @returns { guildId, userId, userName } for a valid token, or undefined
+ */
+export function findApiToken(token) {
+	return token ? apiTokens.get(hashToken(token)) : undefined;
+}
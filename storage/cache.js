@@ -0,0 +1,157 @@
+import JsonStore from './json-store.js';
+import { Counter, Gauge } from '../monitoring/metrics.js';
+
+// Every cache that has been created, for the gauge below
+const caches = [];
+
+const cacheLookups = new Counter('musicbot_cache_lookups_total', 'Cache lookups, by cache and whether they were a hit or a miss', true);
+const cacheEvictions = new Counter('musicbot_cache_evictions_total', 'Entries removed from a cache before they expired, because it was full or because the video was unplayable', true);
+new Gauge('musicbot_cache_entries', 'Entries in each cache', () => caches.map(cache => ({ labels: { cache: cache.name }, value: cache.entries.size })));
+
+// Caches only live in memory unless PERSIST_CACHES=true, in which case they are also kept in DATA_DIRECTORY (see json-store.js) and survive restarts
+const PERSIST_CACHES = process.env.PERSIST_CACHES === 'true';
+
+/**
+ * Remembers the results of slow lookups (youtube searches, video info, spotify playlists) for a while, so that asking again is instant. Entries
+ * expire 'ttl' milliseconds after they were stored, and once there are more than 'maxEntries' the least recently used ones are thrown out.
+ *
+ * Values have to be plain JSON if the cache is persisted. null and undefined are never cached (that's what the lookups return when they fail,
+ * and a failed lookup is worth trying again)
+ */
+export default class Cache {
+
+	/**
+	 * @param {string} name shows up in the metrics, and is the name of the file if the cache is persisted (e.g cache-youtube-search.json)
+	 * @param {object} options
+	 * @param {number} options.ttl how long entries are kept for, in milliseconds
+	 * @param {number} options.maxEntries
+	 * @param {boolean} [options.persist] whether to also keep the entries on the disk (PERSIST_CACHES by default)
+	 */
+	constructor(name, { ttl, maxEntries, persist = PERSIST_CACHES }) {
+		this.name = name;
+		this.ttl = ttl;
+		this.maxEntries = maxEntries;
+
+		// Maps keys to { value, expiresAt }. A Map iterates in the order entries were added, and every hit moves its entry to the end, so the first
+		// entry is always the least recently used one
+		this.entries = new Map();
+
+		// Lookups that are still running, so that asking for the same key again in the meantime waits for them instead of doing it twice
+		this.loading = new Map();
+
+		this.hits = 0;
+		this.misses = 0;
+
+		this.store = persist ? new JsonStore(`cache-${name}.json`) : null;
+
+		for (let [key, entry] of this.store?.entries() ?? []) {
+			if (entry.expiresAt > Date.now())
+				this.entries.set(key, entry);
+			else
+				this.store.delete(key);
+		}
+
+		caches.push(this);
+	}
+
+	/**
+	 * @returns the cached value, or undefined if there isn't one (or it expired)
+	 */
+	get(key) {
+		const entry = this.entries.get(key);
+
+		if (!entry || entry.expiresAt <= Date.now()) {
+			if (entry)
+				this.delete(key);
+
+			this.misses++;
+			cacheLookups.inc({ cache: this.name, result: 'miss' });
+			return undefined;
+		}
+
+		// Move it to the end, since it is now the most recently used
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+
+		this.hits++;
+		cacheLookups.inc({ cache: this.name, result: 'hit' });
+		return entry.value;
+	}
+
+	set(key, value) {
+		if (value === null || value === undefined)
+			return;
+
+		const entry = { value, expiresAt: Date.now() + this.ttl };
+
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		this.store?.set(key, entry);
+
+		while (this.entries.size > this.maxEntries) {
+			const [leastRecentlyUsed] = this.entries.keys();
+			this.delete(leastRecentlyUsed);
+			cacheEvictions.inc({ cache: this.name, reason: 'full' });
+		}
+	}
+
+	delete(key) {
+		this.entries.delete(key);
+		if (this.store?.has(key))
+			this.store.delete(key);
+	}
+
+	/**
+	 * Deletes every entry whose value matches, e.g every search that found a video that turned out to be unplayable
+	 *
+	 * @param {(value: *, key: string) => boolean} predicate
+	 * @param {string} reason why they were deleted, for the metrics
+	 * @returns how many entries were deleted
+	 */
+	deleteWhere(predicate, reason) {
+		let deleted = 0;
+
+		for (let [key, { value }] of this.entries) {
+			if (predicate(value, key)) {
+				this.delete(key);
+				deleted++;
+			}
+		}
+
+		if (deleted > 0)
+			cacheEvictions.inc({ cache: this.name, reason }, deleted);
+		return deleted;
+	}
+
+	/**
+	 * Returns the cached value for 'key', or calls load() to look it up and caches whatever it resolves to
+	 *
+	 * @param {() => Promise<*>} load
+	 */
+	async getOrLoad(key, load) {
+		const cached = this.get(key);
+		if (cached !== undefined)
+			return cached;
+
+		if (this.loading.has(key))
+			return this.loading.get(key);
+
+		const loading = load()
+			.then((value) => {
+				this.set(key, value);
+				return value;
+			})
+			.finally(() => this.loading.delete(key));
+
+		this.loading.set(key, loading);
+		return loading;
+	}
+
+	/**
+	 * @returns { name, size, hits, misses, hitRate } where hitRate is between 0 and 1
+	 */
+	stats() {
+		const lookups = this.hits + this.misses;
+		return { name: this.name, size: this.entries.size, hits: this.hits, misses: this.misses, hitRate: lookups > 0 ? this.hits / lookups : 0 };
+	}
+}
@@ -0,0 +1,32 @@
+import JsonStore from './json-store.js';
+
+/**
+ * Maps guild IDs to that guild's settings (e.g { volume: 50 }). Settings are things that should stick around even when the bot isn't playing
+ * on the guild, unlike the state of a MusicSubscription which only lasts as long as the subscription does
+ */
+const guildSettings = new JsonStore('guild-settings.json');
+
+/**
+ * @param {string} guildId the guild the setting belongs to
+ * @param {string} key the name of the setting
+ * @param {*} defaultValue what to return if the guild never changed this setting
+ */
+export function getGuildSetting(guildId, key, defaultValue) {
+	return guildSettings.get(guildId)?.[key] ?? defaultValue;
+}
+
+/**
+ * @param {string} guildId the guild the setting belongs to
+ * @param {string} key the name of the setting
+ * @param {*} value the new value. Passing undefined removes the setting so the default is used again
+ */
+export function setGuildSetting(guildId, key, value) {
+	const settings = { ...guildSettings.get(guildId) };
+
+	if (value === undefined)
+		delete settings[key];
+	else
+		settings[key] = value;
+
+	guildSettings.set(guildId, settings);
+}
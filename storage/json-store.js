@@ -0,0 +1,87 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('json-store');
+
+// Every store is a single JSON file inside of this directory. On Heroku the dyno filesystem is wiped when the dyno is cycled, so point
+// DATA_DIRECTORY at something that survives restarts if you deploy it there
+const DATA_DIRECTORY = process.env.DATA_DIRECTORY ?? './data';
+
+/**
+ * A tiny key/value store that is kept in memory and mirrored to a JSON file on disk. Reads never touch the disk (the file is only read once,
+ * when the store is created). Writes are debounced so that a burst of changes (e.g. shuffling a 300 song queue, then removing a few songs)
+ * only results in one write to the disk. Files are written to a temporary file first and then renamed so a crash mid-write can't corrupt them
+ */
+export default class JsonStore {
+
+	constructor(fileName, saveDelay = 1e3) {
+		this.filePath = path.join(DATA_DIRECTORY, fileName);
+		this.saveDelay = saveDelay;
+		this.saveTimeout = null;
+
+		// Keys can come from users (e.g the names of playlists), so the data has no prototype for keys like 'constructor' or '__proto__' to reach
+		this.data = Object.create(null);
+
+		try {
+			if (fs.existsSync(this.filePath))
+				Object.assign(this.data, JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+		}
+		catch (err) {
+			log.error('JsonStore could not read its file, starting with an empty store', { filePath: this.filePath, err });
+		}
+	}
+
+	get(key) {
+		return this.data[key];
+	}
+
+	has(key) {
+		return Object.hasOwn(this.data, key);
+	}
+
+	set(key, value) {
+		this.data[key] = value;
+		this.save();
+	}
+
+	delete(key) {
+		delete this.data[key];
+		this.save();
+	}
+
+	entries() {
+		return Object.entries(this.data);
+	}
+
+	/**
+	 * Schedules a write to the disk. Calls made while a write is already scheduled are merged into that write
+	 */
+	save() {
+		if (this.saveTimeout)
+			return;
+
+		this.saveTimeout = setTimeout(() => {
+			this.saveTimeout = null;
+			this.writeFile().catch((err) => log.error('JsonStore could not write its file', { filePath: this.filePath, err }));
+		}, this.saveDelay);
+	}
+
+	/**
+	 * Immediately writes the store to the disk, cancelling any scheduled write. Used when the process is about to exit
+	 */
+	saveSync() {
+		clearTimeout(this.saveTimeout);
+		this.saveTimeout = null;
+
+		fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+		fs.writeFileSync(this.filePath + '.tmp', JSON.stringify(this.data));
+		fs.renameSync(this.filePath + '.tmp', this.filePath);
+	}
+
+	async writeFile() {
+		await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+		await fs.promises.writeFile(this.filePath + '.tmp', JSON.stringify(this.data));
+		await fs.promises.rename(this.filePath + '.tmp', this.filePath);
+	}
+}
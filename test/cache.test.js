@@ -0,0 +1,94 @@
+import './setup.js';
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Cache from '../storage/cache.js';
+import { evictUnplayableVideo, searchCache, videoInfoCache } from '../api-functions/youtube-functions.js';
+import { createVideo } from './fakes/youtube.js';
+
+afterEach(() => mock.timers.reset());
+
+let nextName = 1;
+const createCache = (options) => new Cache(`test-${nextName++}`, { ttl: 60e3, maxEntries: 100, persist: false, ...options });
+
+test('entries expire after the ttl', () => {
+    mock.timers.enable({ apis: ['Date'] });
+    const cache = createCache({ ttl: 1000 });
+
+    cache.set('key', 'value');
+    mock.timers.tick(999);
+    assert.equal(cache.get('key'), 'value');
+
+    mock.timers.tick(1);
+    assert.equal(cache.get('key'), undefined);
+    assert.equal(cache.stats().size, 0);
+});
+
+test('the least recently used entry is thrown out once it is full', () => {
+    const cache = createCache({ maxEntries: 2 });
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+});
+
+test('stats count hits and misses', () => {
+    const cache = createCache();
+
+    cache.set('a', 1);
+    cache.get('a');
+    cache.get('a');
+    cache.get('b');
+
+    assert.deepEqual(cache.stats(), { name: cache.name, size: 1, hits: 2, misses: 1, hitRate: 2 / 3 });
+});
+
+test('getOrLoad loads each key once, even when asked twice at the same time', async () => {
+    const cache = createCache();
+    let loads = 0;
+    const load = async () => ++loads;
+
+    const [first, second] = await Promise.all([cache.getOrLoad('key', load), cache.getOrLoad('key', load)]);
+    const third = await cache.getOrLoad('key', load);
+
+    assert.deepEqual([first, second, third], [1, 1, 1]);
+    assert.equal(loads, 1);
+});
+
+test('failed lookups (null) are not cached', async () => {
+    const cache = createCache();
+    let loads = 0;
+
+    assert.equal(await cache.getOrLoad('key', async () => (loads++, null)), null);
+    assert.equal(await cache.getOrLoad('key', async () => (loads++, 'found')), 'found');
+    assert.equal(loads, 2);
+});
+
+test('persisted caches are read back from the disk', () => {
+    const cache = createCache({ persist: true });
+    cache.set('query', [createVideo('song')]);
+    cache.store.saveSync();
+
+    const reloaded = new Cache(cache.name, { ttl: 60e3, maxEntries: 100, persist: true });
+    assert.deepEqual(reloaded.get('query'), [createVideo('song')]);
+});
+
+test('evicting an unplayable video forgets its info and every search that found it', () => {
+    const broken = createVideo('broken');
+    const fine = createVideo('fine');
+
+    searchCache.set('broken song', [broken, fine]);
+    searchCache.set('fine song', [fine]);
+    videoInfoCache.set('broken', broken);
+
+    // Any link to the same video counts
+    evictUnplayableVideo('https://youtu.be/broken');
+
+    assert.equal(searchCache.get('broken song'), undefined);
+    assert.deepEqual(searchCache.get('fine song'), [fine]);
+    assert.equal(videoInfoCache.get('broken'), undefined);
+});
@@ -0,0 +1,303 @@
+import './setup.js';
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { loadCommands } from '../commands/commands.js';
+import { ensurePermission, setDJRole } from '../commands/permissions.js';
+import { handlePrefixCommand, setPrefix } from '../commands/prefix-commands.js';
+import { audioFilters } from '../music/filters.js';
+import { createFakeGuild, createFakeInteraction, createFakeMember, createFakeTextChannel, createFakeVoiceChannel } from './fakes/discord.js';
+import { createTestSubscription, createPlayableTrack, waitFor } from './fakes/subscription.js';
+
+const commands = await loadCommands();
+
+// Skipping and stopping make the subscription wait 90 seconds for something to play (see subscription.js), which would keep the tests running.
+// Only setTimeout is mocked, so waitFor() still works
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+afterEach(() => mock.timers.reset());
+
+/**
+ * Runs a command the way index.js does, permission check included
+ *
+ * @returns the interaction, whose 'replies' and 'lastReply' have what the bot answered with
+ */
+async function run(commandName, { guild, member, options = {}, subcommand = null }) {
+    const interaction = createFakeInteraction({ commandName, guild, channel: createFakeTextChannel(guild), member, options, subcommand });
+    if (await ensurePermission(interaction, commandName, commands[commandName]))
+        await commands[commandName].execute(interaction);
+    return interaction;
+}
+
+const playing = (audioPlayer) => audioPlayer.state.status === AudioPlayerStatus.Playing ? audioPlayer.state.resource.metadata : null;
+const titles = (subscription) => subscription.queue.getShallowClone().map(track => track.youtube_title);
+
+/**
+ * A subscription that is playing 'current', with 'a', 'b' and 'c' queued after it. 'member' is the one listener, who is a DJ since the guild has
+ * no DJ role
+ */
+async function createPlayingSubscription() {
+    const test = createTestSubscription();
+    const { subscription, audioPlayer } = test;
+
+    subscription.queue.enqueue(...['current', 'a', 'b', 'c'].map(title => createPlayableTrack(subscription, title)));
+    await subscription.processQueue();
+    await waitFor(() => playing(audioPlayer), 'the first track to play');
+
+    return { ...test, member: test.listener };
+}
+
+test('commands that need something playing say so when nothing is', async () => {
+    const guild = createFakeGuild();
+    const member = createFakeMember(guild, { voiceChannel: createFakeVoiceChannel(guild) });
+    const needSubscription = ['clear', 'jump', 'loop', 'move', 'nowplaying', 'pause', 'queue', 'remove', 'replace', 'seek', 'shuffle', 'skip', 'stop', 'swap', 'volume'];
+
+    for (let commandName of needSubscription) {
+        const interaction = await run(commandName, { guild, member, options: { index: '1', index1: '1', mode: 'track', time: '1:00', volume: '50' } });
+        assert.equal(interaction.lastReply, 'Not currently playing on this server', `/${commandName}`);
+    }
+
+    const filter = await run('filter', { guild, member, subcommand: 'list' });
+    assert.equal(filter.lastReply, 'Not currently playing on this server');
+
+    // /play without a song unpauses
+    const play = await run('play', { guild, member });
+    assert.equal(play.lastReply, 'Not currently playing on this server');
+});
+
+test('/play needs them to be in a voice channel', async () => {
+    const guild = createFakeGuild();
+    const member = createFakeMember(guild);
+
+    const interaction = await run('play', { guild, member, options: { song: 'anything' } });
+    assert.equal(interaction.lastReply, 'You must be a user and inside of a voice channel to use this command');
+});
+
+test('/play without a song only unpauses', async () => {
+    const { guild, member, audioPlayer } = await createPlayingSubscription();
+
+    assert.equal((await run('play', { guild, member })).lastReply, 'Cannot unpause, the audio player is not currently paused. If you are trying to queue up a song, make sure you see the [song] parameter appear while typing the command');
+
+    audioPlayer.pause();
+    assert.equal((await run('play', { guild, member })).lastReply, 'Unpaused');
+    assert.equal(audioPlayer.state.status, AudioPlayerStatus.Playing);
+});
+
+test('/remove checks the index', async () => {
+    const { guild, member, subscription } = await createPlayingSubscription();
+
+    assert.equal((await run('remove', { guild, member, options: { index: 'one' } })).lastReply, '`index` must be a number! To see indices, use /queue');
+    assert.equal((await run('remove', { guild, member, options: { index: '-1' } })).lastReply, '`index` too low. To see indices, use /queue');
+    assert.equal((await run('remove', { guild, member, options: { index: '3' } })).lastReply, '`index` too high (the highest index in the queue is `2`)');
+    assert.deepEqual(titles(subscription), ['a', 'b', 'c']);
+
+    assert.equal((await run('remove', { guild, member, options: { index: ' 1 ' } })).lastReply, 'Removing the song at position `1` (`b`) from the queue');
+    assert.deepEqual(titles(subscription), ['a', 'c']);
+    assert.equal(subscription.queue.queueAccessMutex.isLocked(), false);
+});
+
+test("/remove only lets people who aren't DJs remove their own tracks", async () => {
+    const { guild, subscription, voiceChannel } = await createPlayingSubscription();
+    setDJRole(guild.id, 'dj');
+    const member = createFakeMember(guild, { voiceChannel });
+    subscription.queue.enqueue(createPlayableTrack(subscription, 'mine', { requestedBy: member.id, requestedByName: member.user.username }));
+
+    assert.equal((await run('remove', { guild, member, options: { index: '0' } })).lastReply, 'Only DJs or `requester` (who requested it) can remove `a`');
+    assert.equal((await run('remove', { guild, member, options: { index: '3' } })).lastReply, 'Removing the song at position `3` (`mine`) from the queue');
+});
+
+test('/swap checks both indices', async () => {
+    const { guild, member, subscription } = await createPlayingSubscription();
+
+    assert.equal((await run('swap', { guild, member, options: { index1: 'x' } })).lastReply, '`index1` must be a number! To see indices, type /queue');
+    assert.equal((await run('swap', { guild, member, options: { index1: '1', index2: 'y' } })).lastReply, '`index2` must be a number! To see indices, type /queue');
+    assert.equal((await run('swap', { guild, member, options: { index1: '-1' } })).lastReply, '`index1` is too low (cannot be below `0`)');
+    assert.equal((await run('swap', { guild, member, options: { index1: '1', index2: '1' } })).lastReply, 'If you swap a melon with a melon what do you get? A melon');
+
+    // Indices past the end mean the last track, and index2 defaults to 0
+    assert.equal((await run('swap', { guild, member, options: { index1: '10' } })).lastReply, 'Swapped positions `2` and `0` in the queue');
+    assert.deepEqual(titles(subscription), ['c', 'b', 'a']);
+});
+
+test('/swap needs at least 2 tracks', async () => {
+    const { guild, member, subscription } = await createPlayingSubscription();
+    subscription.queue.jump(2);
+
+    assert.equal((await run('swap', { guild, member, options: { index1: '0' } })).lastReply, 'If you swap a melon with a melon what do you get? A melon');
+});
+
+test('/jump checks the index and then skips to it', async () => {
+    const { guild, member, subscription, audioPlayer } = await createPlayingSubscription();
+
+    assert.equal((await run('jump', { guild, member, options: { index: 'two' } })).lastReply, '`index` must be a number! To see indices, use /queue');
+    assert.equal((await run('jump', { guild, member, options: { index: '0' } })).lastReply, 'Jumping to index 0 is the same as /skip. Just use /skip');
+    assert.equal((await run('jump', { guild, member, options: { index: '3' } })).lastReply, '`index` too high (the highest index in the queue is `2`)');
+
+    assert.equal((await run('jump', { guild, member, options: { index: '2' } })).lastReply, 'Skipping the current song and jumping to position `2`');
+    await waitFor(() => playing(audioPlayer)?.youtube_title === 'c', 'the track at index 2 to play');
+    assert.deepEqual(titles(subscription), []);
+});
+
+test('/replace checks the index', async () => {
+    const { guild, member } = await createPlayingSubscription();
+
+    assert.equal((await run('replace', { guild, member, options: { index: 'one' } })).lastReply, '`index` must be a number! To see indices, type /queue');
+    assert.equal((await run('replace', { guild, member, options: { index: '0' } })).lastReply, 'Replacing with index `0` is the same as /skip. Just use /skip');
+    assert.equal((await run('replace', { guild, member, options: { index: '3' } })).lastReply, '`index` too high (the highest index in the queue is `2`)');
+});
+
+test('/volume shows, checks and sets the volume', async () => {
+    const { guild, member, subscription } = await createPlayingSubscription();
+
+    assert.equal((await run('volume', { guild, member })).lastReply, 'The volume is currently `' + subscription.volume + '%`');
+    assert.equal((await run('volume', { guild, member, options: { volume: 'loud' } })).lastReply, '`volume` must be a number!');
+    assert.equal((await run('volume', { guild, member, options: { volume: '201' } })).lastReply, '`volume` must be between `0` and `200`');
+    assert.equal((await run('volume', { guild, member, options: { volume: '-1' } })).lastReply, '`volume` must be between `0` and `200`');
+
+    assert.equal((await run('volume', { guild, member, options: { volume: '50%' } })).lastReply, 'Set the volume to `50%`');
+    assert.equal(subscription.volume, 50);
+});
+
+test('/seek checks the timestamp', async () => {
+    const { guild, member } = await createPlayingSubscription();
+
+    assert.equal((await run('seek', { guild, member, options: { time: 'soon' } })).lastReply, '`time` must be a timestamp like `1:30` or `01:02:03`');
+    assert.equal((await run('seek', { guild, member, options: { time: '3:00' } })).lastReply, '`time` is past the end of the song (it is `03:00` long)');
+});
+
+test('/seek and /skip need a track to be playing, not just loading', async () => {
+    const { subscription, guild, listener: member } = createTestSubscription();
+    subscription.loadingTrack = createPlayableTrack(subscription, 'loading');
+
+    assert.equal((await run('seek', { guild, member, options: { time: '1:00' } })).lastReply, 'Cannot seek since a track is not playing yet');
+    assert.equal((await run('skip', { guild, member })).lastReply, 'Cannot skip since a track is not playing yet');
+});
+
+test('/skip skips for DJs and counts votes for everyone else', async () => {
+    const { guild, member, voiceChannel, audioPlayer } = await createPlayingSubscription();
+
+    assert.equal((await run('skip', { guild, member })).lastReply, 'Skipping `current`');
+    await waitFor(() => playing(audioPlayer)?.youtube_title === 'a', 'the next track to play');
+
+    setDJRole(guild.id, 'dj');
+    const outsider = createFakeMember(guild);
+    assert.equal((await run('skip', { guild, member: outsider })).lastReply, 'You must be in the same voice channel as me to vote to skip');
+
+    // With 3 listeners, 2 votes are needed
+    const [first, second] = [createFakeMember(guild, { voiceChannel }), createFakeMember(guild, { voiceChannel })];
+    assert.equal((await run('skip', { guild, member: first })).lastReply, 'Voted to skip `a` (`1/2` votes)');
+    assert.equal((await run('skip', { guild, member: second })).lastReply, 'Enough votes (`2/2`), skipping `a`');
+    await waitFor(() => playing(audioPlayer)?.youtube_title === 'b', 'the next track to play');
+});
+
+test('/pause does not pause twice', async () => {
+    const { guild, member, audioPlayer } = await createPlayingSubscription();
+
+    assert.equal((await run('pause', { guild, member })).lastReply, 'Paused');
+    assert.equal(audioPlayer.state.status, AudioPlayerStatus.Paused);
+    assert.equal((await run('pause', { guild, member })).lastReply, 'Already paused. You can use /play without entering a song name to unpause');
+});
+
+test('/loop checks the mode', async () => {
+    const { guild, member, subscription } = await createPlayingSubscription();
+
+    assert.equal((await run('loop', { guild, member, options: { mode: 'forever' } })).lastReply, '`mode` must be one of `off`, `track`, or `queue`');
+    assert.equal((await run('loop', { guild, member, options: { mode: 'off' } })).lastReply, 'The loop mode is already `off`');
+    assert.equal((await run('loop', { guild, member, options: { mode: 'queue' } })).lastReply, 'Looping the queue. Finished songs will go back to the end of the queue');
+    assert.equal(subscription.loopMode, 'queue');
+});
+
+test('/queuemode checks the mode and only works in servers', async () => {
+    const guild = createFakeGuild();
+    const member = createFakeMember(guild);
+
+    assert.equal((await run('queuemode', { guild, member, options: { mode: 'random' } })).lastReply, '`mode` must be either `fifo` or `fair`');
+    assert.equal((await run('queuemode', { guild, member, options: { mode: 'fifo' } })).lastReply, 'The queue mode is already `fifo`');
+    assert.equal((await run('queuemode', { guild: null, member: null, options: { mode: 'fair' } })).lastReply, 'This command can only be used in a server');
+});
+
+test('/filter checks the effect and its value', async () => {
+    const { guild, member, subscription } = await createPlayingSubscription();
+    const { min, max } = audioFilters.tempo;
+
+    assert.equal((await run('filter', { guild, member, subcommand: 'clear' })).lastReply, "There aren't any effects on");
+    assert.equal((await run('filter', { guild, member, subcommand: 'add', options: { name: 'reverb' } })).lastReply, '`reverb` is not an effect. To see the effects, use /filter list');
+    assert.equal((await run('filter', { guild, member, subcommand: 'remove', options: { name: 'tempo' } })).lastReply, '`tempo` is not on');
+    assert.equal((await run('filter', { guild, member, subcommand: 'add', options: { name: 'tempo' } })).lastReply, '`tempo` needs a `value` between `' + min + '` and `' + max + '`');
+    assert.equal((await run('filter', { guild, member, subcommand: 'add', options: { name: 'tempo', value: 'fast' } })).lastReply, '`value` must be a number!');
+    assert.equal((await run('filter', { guild, member, subcommand: 'add', options: { name: 'tempo', value: String(max + 1) } })).lastReply, '`value` must be between `' + min + '` and `' + max + '`');
+    assert.deepEqual(subscription.filters, {});
+});
+
+test('/history says when nothing has been played', async () => {
+    const guild = createFakeGuild();
+    const member = createFakeMember(guild);
+
+    assert.equal((await run('history', { guild, member })).lastReply, 'Nothing has been played on this server yet');
+});
+
+test('/move needs them to be in a voice channel', async () => {
+    const { guild } = await createPlayingSubscription();
+    const member = createFakeMember(guild);
+
+    assert.equal((await run('move', { guild, member })).lastReply, 'You must be a user and inside of a voice channel to use this command');
+});
+
+test('DJ commands are refused to everyone else once a DJ role is picked', async () => {
+    const { guild, subscription, voiceChannel } = await createPlayingSubscription();
+    setDJRole(guild.id, 'dj');
+
+    const member = createFakeMember(guild, { voiceChannel });
+    const dj = createFakeMember(guild, { voiceChannel, roles: ['dj'] });
+
+    assert.equal((await run('swap', { guild, member, options: { index1: '0', index2: '1' } })).lastReply, 'Only DJs can use `/swap` on this server (admins and anyone with the <@&dj> role)');
+    assert.deepEqual(titles(subscription), ['a', 'b', 'c']);
+
+    assert.equal((await run('swap', { guild, member: dj, options: { index1: '0', index2: '1' } })).lastReply, 'Swapped positions `0` and `1` in the queue');
+    assert.deepEqual(titles(subscription), ['b', 'a', 'c']);
+});
+
+test("the control panel's resume button needs the same permission as its pause button", async () => {
+    const { guild, voiceChannel, audioPlayer, subscription } = await createPlayingSubscription();
+    setDJRole(guild.id, 'dj');
+
+    const member = createFakeMember(guild, { voiceChannel });
+    const dj = createFakeMember(guild, { voiceChannel, roles: ['dj'] });
+
+    // Buttons are mapped to the command their custom ID starts with, like index.js does
+    const press = async (customId, member) => {
+        const interaction = createFakeInteraction({ guild, channel: createFakeTextChannel(guild), member });
+        interaction.customId = customId;
+
+        const [commandName] = customId.split(':');
+        if (await ensurePermission(interaction, commandName, commands[commandName]))
+            await commands[commandName].handleComponent(interaction);
+        return interaction.lastReply;
+    };
+
+    const pauseButton = () => subscription.controlPanel.createButtons(false)[0].components[0];
+
+    assert.equal(await press(pauseButton().customId, dj), 'Paused');
+    assert.equal(pauseButton().label, 'Resume');
+
+    assert.equal(await press(pauseButton().customId, member), 'Only DJs can use `/pause` on this server (admins and anyone with the <@&dj> role)');
+    assert.equal(audioPlayer.state.status, AudioPlayerStatus.Paused);
+
+    assert.equal(await press(pauseButton().customId, dj), 'Unpaused');
+    assert.equal(audioPlayer.state.status, AudioPlayerStatus.Playing);
+});
+
+test('prefix commands that cannot reply are logged instead of crashing the bot', async () => {
+    const guild = createFakeGuild();
+    setPrefix(guild.id, '!');
+
+    // e.g the bot isn't allowed to send messages in the channel
+    const message = {
+        author: { bot: false },
+        inGuild: () => true,
+        guildId: guild.id,
+        content: '!remove',
+        reply: async () => { throw new Error('Missing Permissions'); },
+    };
+
+    await handlePrefixCommand(message, commands);
+});
@@ -0,0 +1,153 @@
+import { Collection, GuildMember, Permissions } from 'discord.js';
+import client from '../../client.js';
+
+/**
+ * Stand-ins for the discord.js objects the bot uses (guilds, channels, members and command interactions). They only have what the bot actually
+ * calls, and they remember everything that was sent, so tests can check what the bot replied without a connection to discord
+ */
+
+// The bot never logs in during the tests, but tracks look themselves up by the bot's user ID (to set its nickname)
+client.user ??= { id: 'bot' };
+
+let nextId = 1;
+const createId = () => String(nextId++);
+
+export function createFakeGuild({ id = createId(), name = 'Test Server' } = {}) {
+    const nicknames = [];
+    return {
+        id,
+        name,
+        nicknames,
+        // Every member the bot looks up exists, and setting their nickname is remembered
+        members: { cache: { get: (memberId) => ({ id: memberId, setNickname: async (nickname) => nicknames.push(nickname) }) } },
+        roles: { cache: new Map() },
+        channels: { cache: new Collection() },
+        voiceAdapterCreator: () => ({ sendPayload: () => true, destroy: () => { } }),
+    };
+}
+
+// Members are added to it when they are created in it (see createFakeMember)
+export function createFakeVoiceChannel(guild, { id = createId() } = {}) {
+    const voiceChannel = { id, guild, members: new Collection() };
+    guild.channels.cache.set(id, voiceChannel);
+    return voiceChannel;
+}
+
+/**
+ * A text channel that remembers everything sent to it in 'sent' (as strings, or the options object for embeds and buttons)
+ */
+export function createFakeTextChannel(guild, { id = createId() } = {}) {
+    const channel = {
+        id,
+        guild,
+        sent: [],
+        async send(message) {
+            channel.sent.push(message);
+            return createFakeMessage(channel, message);
+        },
+        async sendTyping() { },
+    };
+    return channel;
+}
+
+function createFakeMessage(channel, content) {
+    const message = {
+        id: createId(),
+        channel,
+        channelId: channel?.id,
+        content,
+        edits: [],
+        async edit(newContent) {
+            message.edits.push(newContent);
+            return message;
+        },
+        async delete() { },
+    };
+    return message;
+}
+
+/**
+ * A GuildMember (commands check instanceof GuildMember), whose voice channel, roles and permissions are whatever the test says
+ *
+ * @param {object} options
+ * @param {object} [options.voiceChannel] the voice channel they are in, if any (see createFakeVoiceChannel)
+ * @param {boolean} [options.admin] whether they have the administrator permission
+ * @param {string[]} [options.roles] the IDs of their roles
+ */
+export function createFakeMember(guild, { id = createId(), name = `member${id}`, voiceChannel = null, admin = false, roles = [], bot = false } = {}) {
+    const member = Object.create(GuildMember.prototype);
+
+    // GuildMember has getters for most of these, which can only be replaced by defining the properties on the object itself
+    Object.defineProperties(member, {
+        id: { value: id },
+        guild: { value: guild },
+        user: { value: { id, username: name, bot, send: async () => { } } },
+        nickname: { value: null },
+        voice: { value: { channel: voiceChannel, channelId: voiceChannel?.id ?? null } },
+        permissions: { value: new Permissions(admin ? Permissions.FLAGS.ADMINISTRATOR : 0n) },
+        roles: { value: { cache: new Map(roles.map(role => [role, { id: role }])) } },
+    });
+
+    voiceChannel?.members.set(id, member);
+    return member;
+}
+
+/**
+ * A CommandInteraction for a slash command. Everything the bot answers with is pushed to 'replies' as { type, message }, where type is
+ * 'reply', 'followUp' or 'editReply'
+ *
+ * @param {object} options
+ * @param {Object<string, *>} [options.options] the values of the command's options, e.g { index: '3' }
+ * @param {string} [options.subcommand]
+ */
+export function createFakeInteraction({ commandName = 'test', guild, channel, member, options = {}, subcommand = null }) {
+    const interaction = {
+        id: createId(),
+        commandName,
+        client,
+        guild,
+        guildId: guild?.id ?? null,
+        channel,
+        channelId: channel?.id ?? null,
+        member,
+        user: member?.user,
+        memberPermissions: member?.permissions ?? null,
+
+        options: {
+            getString: (name) => options[name] ?? null,
+            getBoolean: (name) => options[name] ?? null,
+            getRole: (name) => options[name] ?? null,
+            getSubcommand: () => subcommand,
+        },
+
+        replies: [],
+        deferred: false,
+        replied: false,
+
+        inGuild: () => !!guild,
+
+        async reply(message) {
+            interaction.replied = true;
+            interaction.replies.push({ type: 'reply', message });
+        },
+        async deferReply() {
+            interaction.deferred = true;
+        },
+        async followUp(message) {
+            interaction.replies.push({ type: 'followUp', message });
+        },
+        async editReply(message) {
+            interaction.replies.push({ type: 'editReply', message });
+        },
+        async fetchReply() {
+            return createFakeMessage(channel, interaction.replies[0]?.message);
+        },
+
+        // The text of the last thing the bot answered with
+        get lastReply() {
+            const message = interaction.replies[interaction.replies.length - 1]?.message;
+            return typeof message === 'string' ? message : message?.content;
+        },
+    };
+    return interaction;
+}
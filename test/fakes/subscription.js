@@ -0,0 +1,51 @@
+import { MusicSubscription, subscriptions } from '../../music/subscription.js';
+import { Track } from '../../music/track.js';
+import { createFakeGuild, createFakeMember, createFakeTextChannel, createFakeVoiceChannel } from './discord.js';
+import { FakeAudioPlayer, FakeVoiceConnection } from './voice.js';
+import { createFakeAudioResource } from './youtube.js';
+
+/**
+ * Creates a real MusicSubscription (registered in 'subscriptions' like getOrCreateSubscription does), connected to a fake voice channel with
+ * one listener in it, and with a fake voice connection and audio player
+ *
+ * @returns everything the subscription is made of, so tests can drive it and look at what it sent
+ */
+export function createTestSubscription({ guild = createFakeGuild() } = {}) {
+    const voiceChannel = createFakeVoiceChannel(guild);
+    const textChannel = createFakeTextChannel(guild);
+    const listener = createFakeMember(guild, { voiceChannel });
+
+    const voiceConnection = new FakeVoiceConnection({ guildId: guild.id, channelId: voiceChannel.id });
+    const audioPlayer = new FakeAudioPlayer();
+
+    const subscription = new MusicSubscription(voiceConnection, textChannel, guild.id, audioPlayer);
+    subscriptions.set(guild.id, subscription);
+
+    return { subscription, guild, voiceChannel, textChannel, listener, voiceConnection, audioPlayer };
+}
+
+/**
+ * Tracks whose audio resource is made up rather than downloaded, for tests that only care about the queue moving along
+ */
+export function createPlayableTrack(subscription, title, requester = { requestedBy: 'requester', requestedByName: 'requester' }) {
+    const track = new Track({ youtube_title: title, youtube_url: `https://www.youtube.com/watch?v=${title}`, durationTimestamp: '03:00', ...requester });
+    track.subscription = subscription;
+    track.createAudioResource = async () => {
+        // Tracks cancel their youtube-dl process once they finish
+        track.process = { cancel: () => { } };
+        return createFakeAudioResource(null, { metadata: track });
+    };
+    return track;
+}
+
+/**
+ * Resolves once condition() is true. Checks between turns of the event loop rather than on a timer, so it works while timers are mocked
+ */
+export async function waitFor(condition, description = 'the condition', maxTurns = 1000) {
+    for (let turn = 0; turn < maxTurns; turn++) {
+        if (condition())
+            return;
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error(`Gave up waiting for ${description}`);
+}
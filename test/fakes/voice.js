@@ -0,0 +1,102 @@
+import { EventEmitter } from 'node:events';
+import { AudioPlayerStatus, VoiceConnectionStatus } from '@discordjs/voice';
+
+/**
+ * Stand-ins for the VoiceConnection and AudioPlayer of @discordjs/voice. Like the real ones, every change of state emits 'stateChange' with the
+ * old and new state, and then an event named after the new status (which is what entersState() waits for). Tests move them between states
+ * with setState() to act out what discord would do (e.g disconnecting the bot)
+ */
+class FakeStateMachine extends EventEmitter {
+
+    setState(newState) {
+        const oldState = this.state;
+        this.state = newState;
+        this.emit('stateChange', oldState, newState);
+        this.emit(newState.status, oldState, newState);
+    }
+}
+
+export class FakeVoiceConnection extends FakeStateMachine {
+
+    constructor({ guildId, channelId }) {
+        super();
+        this.state = { status: VoiceConnectionStatus.Ready };
+        this.joinConfig = { guildId, channelId };
+        this.rejoinAttempts = 0;
+    }
+
+    subscribe(audioPlayer) {
+        this.audioPlayer = audioPlayer;
+    }
+
+    rejoin() {
+        this.rejoinAttempts++;
+        this.setState({ status: VoiceConnectionStatus.Signalling });
+    }
+
+    destroy() {
+        this.setState({ status: VoiceConnectionStatus.Destroyed });
+    }
+}
+
+export class FakeAudioPlayer extends FakeStateMachine {
+
+    constructor() {
+        super();
+        this.state = { status: AudioPlayerStatus.Idle };
+        // Every resource play() was called with, in order
+        this.played = [];
+
+        // How long the current resource played for before it was last paused, and since when it has been playing (null while it isn't)
+        this.playedBefore = 0;
+        this.playingSince = null;
+    }
+
+    // Like the real player, a resource's playbackDuration only counts the time it spent playing (mock Date to move it along)
+    setState(newState) {
+        if (this.state.status === AudioPlayerStatus.Playing)
+            this.playedBefore += Date.now() - this.playingSince;
+        this.playingSince = newState.status === AudioPlayerStatus.Playing ? Date.now() : null;
+        super.setState(newState);
+    }
+
+    get playbackDuration() {
+        return this.playedBefore + (this.playingSince !== null ? Date.now() - this.playingSince : 0);
+    }
+
+    // The real player buffers before it plays. Here the resource is 'playing' straight away, with none of it played yet
+    play(resource) {
+        this.played.push(resource);
+        this.setState({ status: AudioPlayerStatus.Buffering, resource });
+
+        this.playedBefore = 0;
+        Object.defineProperty(resource, 'playbackDuration', { configurable: true, get: () => this.playbackDuration });
+        this.setState({ status: AudioPlayerStatus.Playing, resource });
+    }
+
+    pause() {
+        if (this.state.status !== AudioPlayerStatus.Playing)
+            return false;
+        this.setState({ ...this.state, status: AudioPlayerStatus.Paused });
+        return true;
+    }
+
+    unpause() {
+        if (this.state.status !== AudioPlayerStatus.Paused)
+            return false;
+        this.setState({ ...this.state, status: AudioPlayerStatus.Playing });
+        return true;
+    }
+
+    stop() {
+        if (this.state.status === AudioPlayerStatus.Idle)
+            return false;
+        this.setState({ status: AudioPlayerStatus.Idle });
+        return true;
+    }
+
+    // Acts out the current track reaching its end
+    finish() {
+        return this.stop();
+    }
+}
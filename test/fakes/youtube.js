@@ -0,0 +1,112 @@
+import { EventEmitter } from 'node:events';
+import { PassThrough } from 'node:stream';
+
+/**
+ * Stand-ins for youtubedl.exec and searchYoutube (see setTrackSources in track.js)
+ */
+
+// An Ogg page holding an OpusHead packet, which is all demuxProbe() needs to see to know the stream is Ogg Opus. Real audio isn't needed
+// since the fake audio player never reads it
+function createOpusHeader() {
+    const opusHead = Buffer.alloc(19);
+    opusHead.write('OpusHead', 0);
+    opusHead[8] = 1; // version
+    opusHead[9] = 2; // channels
+    opusHead.writeUInt32LE(48000, 12); // sample rate
+
+    const pageHeader = Buffer.alloc(27);
+    pageHeader.write('OggS', 0);
+    pageHeader[5] = 2; // first page of the stream
+    pageHeader.writeUInt32LE(1, 14); // serial number
+    pageHeader[26] = 1; // 1 segment
+
+    return Buffer.concat([pageHeader, Buffer.from([opusHead.length]), opusHead]);
+}
+
+/**
+ * Acts like the ChildProcess that youtubedl.exec returns, which is also a promise for the process finishing (execa). When it succeeds it emits
+ * 'spawn' and writes an Opus header to stdout (and nothing else). When it fails it rejects like execa does, with an error that has an exitCode and a shortMessage
+ */
+function createFakeProcess(url, exitCode) {
+    const process = new EventEmitter();
+    process.stdout = new PassThrough();
+    process.killed = false;
+    process.kill = () => process.killed = true;
+
+    // Like execa, cancelling a process that hasn't finished yet makes it reject with isCanceled set
+    let cancel;
+    const cancelled = new Promise((resolve, reject) => cancel = () => {
+        const error = new Error('Command was canceled: youtube-dl ' + url);
+        error.isCanceled = true;
+        error.shortMessage = error.message;
+        reject(error);
+    });
+    process.cancel = () => {
+        process.kill();
+        cancel();
+    };
+
+    const exited = new Promise((resolve, reject) => setImmediate(() => {
+        if (exitCode) {
+            const error = new Error(`Command failed with exit code ${exitCode}: youtube-dl ${url}`);
+            error.exitCode = exitCode;
+            error.shortMessage = error.message;
+            return reject(error);
+        }
+
+        process.emit('spawn');
+        process.stdout.end(createOpusHeader());
+    }));
+
+    // Downloads that work never finish by themselves, since a real one would still be going while its track plays
+    const finished = Promise.race([exited, cancelled]);
+    process.then = finished.then.bind(finished);
+    process.catch = finished.catch.bind(finished);
+    return process;
+}
+
+/**
+ * @param {(url: string, attempt: number) => number} getExitCode says how the download of each URL goes (0 for success). 'attempt' counts every
+ * call so far, starting at 1
+ * @returns a fake youtubedl.exec. Every URL it was called with is in its 'urls' array
+ */
+export function createFakeExec(getExitCode = () => 0) {
+    const exec = (url) => {
+        exec.urls.push(url);
+        return createFakeProcess(url, getExitCode(url, exec.urls.length));
+    };
+    exec.urls = [];
+    return exec;
+}
+
+/**
+ * @param {Object<string, number>} exitCodes maps URLs to the exit code their downloads fail with. URLs that aren't in it download fine
+ */
+export function createFailingExec(exitCodes) {
+    return createFakeExec((url) => exitCodes[url] ?? 0);
+}
+
+/**
+ * @returns a fake searchYoutube that returns 'results' (in searchYoutube's format) for every search, and remembers the searches in 'searches'
+ */
+export function createFakeSearch(results) {
+    const search = async (options) => {
+        search.searches.push(options);
+        return results;
+    };
+    search.searches = [];
+    return search;
+}
+
+// A search result / alternate video, in the format searchYoutube returns them
+export function createVideo(name) {
+    return { youtube_url: `https://www.youtube.com/watch?v=${name}`, youtube_title: name, durationTimestamp: '03:00' };
+}
+
+/**
+ * A fake createAudioResource. The real one needs ffmpeg or an opus encoder for the inline volume, and the fake audio player only looks at the
+ * metadata anyways
+ */
+export function createFakeAudioResource(stream, { metadata } = {}) {
+    return { metadata, playbackDuration: 0, volume: { setVolume: () => { } } };
+}
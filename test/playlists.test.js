@@ -0,0 +1,24 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deletePlaylist, getPlaylist, getPlaylists, savePlaylist } from '../music/playlists.js';
+import { createPlayableTrack } from './fakes/subscription.js';
+
+const member = { id: 'member', nickname: 'member' };
+
+test('names that every object has are not playlists', () => {
+    for (let name of ['constructor', 'toString', '__proto__', 'hasOwnProperty'])
+        assert.equal(getPlaylist('guild-1', name), undefined, name);
+});
+
+test('a playlist called __proto__ is saved like any other', () => {
+    savePlaylist('guild-2', '__proto__', [createPlayableTrack(null, 'song')], member);
+    savePlaylist('guild-2', 'other', [], member);
+
+    assert.equal(getPlaylist('guild-2', '__proto__').tracks[0].youtube_title, 'song');
+    assert.deepEqual(getPlaylists('guild-2').map(playlist => playlist.name), ['__proto__', 'other']);
+
+    deletePlaylist('guild-2', '__proto__');
+    assert.equal(getPlaylist('guild-2', '__proto__'), undefined);
+    assert.deepEqual(getPlaylists('guild-2').map(playlist => playlist.name), ['other']);
+});
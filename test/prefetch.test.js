@@ -0,0 +1,148 @@
+import './setup.js';
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { LoopMode } from '../music/subscription.js';
+import { Track, setTrackSources } from '../music/track.js';
+import { createTestSubscription, createPlayableTrack, waitFor } from './fakes/subscription.js';
+import { createFakeAudioResource, createFakeExec, createFakeSearch, createVideo } from './fakes/youtube.js';
+
+// The current track is always 3 minutes long (see createPlayableTrack), and the next one's download is started 20 seconds before it ends. Date is
+// mocked along with setTimeout since that is what moves the current track along (see FakeAudioPlayer)
+afterEach(() => {
+    mock.timers.reset();
+    setTrackSources();
+});
+
+const playing = (audioPlayer) => audioPlayer.state.status === AudioPlayerStatus.Playing ? audioPlayer.state.resource.metadata : null;
+
+function createSpotifyTrack(subscription, title) {
+    const track = new Track({ spotify_title: title, spotify_authors: ['Artist'], requestedBy: 'requester', requestedByName: 'requester' });
+    track.subscription = subscription;
+    return track;
+}
+
+/**
+ * Starts playing a fake track with 'next' (and anything else) queued after it
+ */
+async function playBefore(...queued) {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+
+    const exec = createFakeExec();
+    const search = createFakeSearch([createVideo('found'), createVideo('alternate')]);
+    setTrackSources({ exec, searchYoutube: search, createAudioResource: createFakeAudioResource });
+
+    const test = createTestSubscription();
+    const current = createPlayableTrack(test.subscription, 'current');
+    const tracks = queued.map(create => create(test.subscription));
+
+    test.subscription.queue.enqueue(current, ...tracks);
+    await test.subscription.processQueue();
+    await waitFor(() => playing(test.audioPlayer), 'the current track to play');
+
+    return { ...test, exec, search, current, tracks };
+}
+
+test('the next spotify track finds its youtube URL while the current track plays', async () => {
+    const { search, tracks: [next] } = await playBefore(subscription => createSpotifyTrack(subscription, 'Next Song'));
+
+    await waitFor(() => next.youtube_url, 'the next track to find its URL');
+
+    assert.equal(search.searches.length, 1);
+    assert.equal(next.youtube_title, 'found');
+    assert.deepEqual(next.alternate_youtube_videos, [createVideo('alternate')]);
+});
+
+test('the next download starts 20 seconds before the end and is the one that plays', async () => {
+    const { exec, audioPlayer, subscription, tracks: [next] } = await playBefore(subscription => createSpotifyTrack(subscription, 'Next Song'));
+    await waitFor(() => next.youtube_url, 'the next track to find its URL');
+
+    mock.timers.tick(159e3);
+    assert.deepEqual(exec.urls, []);
+
+    mock.timers.tick(1e3);
+    assert.deepEqual(exec.urls, [createVideo('found').youtube_url]);
+    const warmedUp = next.prefetchedDownload.process;
+
+    audioPlayer.finish();
+    await waitFor(() => playing(audioPlayer) === next, 'the next track to play');
+
+    // No second download, and the one that was started early is the one playing
+    assert.equal(exec.urls.length, 1);
+    assert.equal(next.process, warmedUp);
+    assert.equal(subscription.prefetch, null);
+});
+
+test('pausing pushes the warm up back', async () => {
+    const { exec, audioPlayer, tracks: [next] } = await playBefore(subscription => createPlayableTrack(subscription, 'next'));
+    next.createAudioResource = Track.prototype.createAudioResource;
+
+    mock.timers.tick(150e3);
+    audioPlayer.pause();
+    mock.timers.tick(100e3);
+
+    // When the timeout went off there were still 30 seconds left, so it waits for those to get down to 20
+    assert.deepEqual(exec.urls, []);
+
+    audioPlayer.unpause();
+    mock.timers.tick(10e3);
+    assert.deepEqual(exec.urls, [next.youtube_url]);
+});
+
+test('swapping, removing, shuffling or jumping throws the prepared track away', async () => {
+    for (let op of ['swap', 'remove', 'shuffle', 'jump']) {
+        const { exec, subscription, tracks: [next, after] } = await playBefore(
+            subscription => createPlayableTrack(subscription, 'next'),
+            subscription => createPlayableTrack(subscription, 'after'),
+        );
+        next.createAudioResource = after.createAudioResource = Track.prototype.createAudioResource;
+
+        mock.timers.tick(160e3);
+        const warmedUp = next.prefetchedDownload.process;
+        assert.deepEqual(exec.urls, [next.youtube_url], op);
+
+        const unlock = await subscription.queue.acquireLock();
+        ({
+            swap: () => subscription.queue.swap(0, 1),
+            remove: () => subscription.queue.remove(0),
+            shuffle: () => subscription.queue.shuffle(),
+            jump: () => subscription.queue.jump(1),
+        })[op]();
+        unlock();
+
+        assert.equal(warmedUp.killed, true, op);
+        assert.equal(next.prefetchedDownload, null, op);
+
+        // Whatever is next now is prepared instead, and since the current track is nearly over its download starts straight away
+        assert.equal(subscription.prefetch.track, subscription.queue.get(0), op);
+        await waitFor(() => exec.urls.length === 2, 'the download of the new next track to start');
+        assert.equal(exec.urls[1], subscription.queue.get(0).youtube_url, op);
+
+        mock.timers.reset();
+    }
+});
+
+test('adding to the end of the queue keeps the prepared track', async () => {
+    const { subscription, tracks: [next] } = await playBefore(subscription => createPlayableTrack(subscription, 'next'));
+    next.createAudioResource = Track.prototype.createAudioResource;
+
+    mock.timers.tick(160e3);
+    const warmedUp = next.prefetchedDownload.process;
+
+    subscription.queue.enqueue(createPlayableTrack(subscription, 'later'));
+
+    assert.equal(warmedUp.killed, false);
+    assert.equal(next.prefetchedDownload.process, warmedUp);
+});
+
+test('nothing is prepared while the current track is looping', async () => {
+    const { subscription, exec } = await playBefore(subscription => createSpotifyTrack(subscription, 'Next Song'));
+    subscription.discardPrefetch('test');
+    subscription.setLoopMode(LoopMode.Track);
+
+    subscription.queue.enqueue(createPlayableTrack(subscription, 'later'));
+    mock.timers.tick(180e3);
+
+    assert.equal(subscription.prefetch, null);
+    assert.deepEqual(exec.urls, []);
+});
@@ -0,0 +1,157 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Queue, { QueueMode } from '../music/queue.js';
+
+// Tracks only need a name (to compare orders) and a requester (for fair mode)
+const track = (name, requestedBy = 'alice') => ({ name, requestedBy });
+const names = (queue) => queue.getShallowClone().map(item => item.name);
+
+function createQueue(mode, ...items) {
+    const queue = new Queue();
+    queue.setMode(mode);
+    queue.enqueue(...items);
+    return queue;
+}
+
+test('enqueue adds to the end and enqueueFirst to the front', () => {
+    const queue = createQueue(QueueMode.FIFO, track('a'), track('b'));
+    queue.enqueueFirst(track('first'));
+    assert.equal(queue.enqueue(track('c')), 4);
+    assert.deepEqual(names(queue), ['first', 'a', 'b', 'c']);
+});
+
+test('dequeue takes the first track', () => {
+    const queue = createQueue(QueueMode.FIFO, track('a'), track('b'));
+    assert.equal(queue.dequeue().name, 'a');
+    assert.deepEqual(names(queue), ['b']);
+});
+
+test('swap, remove, splice and jump change the order like /swap, /remove, /move and /jump expect', () => {
+    const queue = createQueue(QueueMode.FIFO, ...'abcde'.split('').map(name => track(name)));
+
+    queue.swap(0, 4);
+    assert.deepEqual(names(queue), ['e', 'b', 'c', 'd', 'a']);
+
+    assert.equal(queue.remove(1)[0].name, 'b');
+    assert.deepEqual(names(queue), ['e', 'c', 'd', 'a']);
+
+    const [moved] = queue.splice(3, 1);
+    queue.splice(0, 0, moved);
+    assert.deepEqual(names(queue), ['a', 'e', 'c', 'd']);
+
+    queue.jump(2);
+    assert.deepEqual(names(queue), ['c', 'd']);
+});
+
+test('shuffle keeps every track', () => {
+    const queue = createQueue(QueueMode.FIFO, ...'abcdefghij'.split('').map(name => track(name)));
+    queue.shuffle();
+    assert.deepEqual(names(queue).sort(), 'abcdefghij'.split(''));
+});
+
+test("every change emits 'change' with the name of the method", () => {
+    const queue = createQueue(QueueMode.FIFO, track('a'), track('b'), track('c'));
+    const ops = [];
+    queue.on('change', (op) => ops.push(op));
+
+    queue.swap(0, 1);
+    queue.shuffle();
+    queue.remove(0);
+    queue.jump(1);
+    queue.dequeue();
+    queue.clear();
+
+    assert.deepEqual(ops, ['swap', 'shuffle', 'remove', 'jump', 'dequeue', 'clear']);
+});
+
+test('acquireLock makes other callers wait until it is unlocked', async () => {
+    const queue = new Queue();
+    const order = [];
+
+    const unlock = await queue.acquireLock();
+    const waiting = queue.acquireLock().then((unlockSecond) => {
+        order.push('second');
+        unlockSecond();
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    order.push('first');
+    unlock();
+    await waiting;
+
+    assert.deepEqual(order, ['first', 'second']);
+});
+
+test('acquireLock gives interactions an unlockQueueReply that unlocks before replying', async () => {
+    const queue = new Queue();
+    const replies = [];
+    const interaction = { reply: async (message) => replies.push(message) };
+
+    await queue.acquireLock(interaction);
+    await interaction.unlockQueueReply('done');
+
+    assert.deepEqual(replies, ['done']);
+    assert.equal(queue.queueAccessMutex.isLocked(), false);
+});
+
+test('fair mode takes turns between requesters', () => {
+    const queue = createQueue(QueueMode.Fair, track('a1', 'alice'), track('a2', 'alice'), track('a3', 'alice'), track('b1', 'bob'), track('c1', 'carol'));
+    assert.deepEqual(names(queue), ['a1', 'b1', 'c1', 'a2', 'a3']);
+
+    // Alice had her turn, so after her next track bob's and carol's come first
+    assert.equal(queue.dequeue().name, 'a1');
+    queue.enqueue(track('b2', 'bob'));
+    assert.deepEqual(names(queue), ['b1', 'c1', 'a2', 'b2', 'a3']);
+});
+
+test('fair mode puts enqueueFirst tracks before everyone', () => {
+    const queue = createQueue(QueueMode.Fair, track('a1', 'alice'), track('b1', 'bob'));
+    queue.enqueueFirst(track('next', 'bob'));
+    assert.deepEqual(names(queue), ['next', 'a1', 'b1']);
+});
+
+test('fair mode jump starts the rotation with whoever queued the track', () => {
+    const queue = createQueue(QueueMode.Fair, track('a1', 'alice'), track('a2', 'alice'), track('b1', 'bob'), track('b2', 'bob'), track('c1', 'carol'));
+    assert.deepEqual(names(queue), ['a1', 'b1', 'c1', 'a2', 'b2']);
+
+    queue.jump(2);
+    assert.deepEqual(names(queue), ['c1', 'a2', 'b2']);
+});
+
+test('fair mode swap and remove work on the order tracks play in', () => {
+    const queue = createQueue(QueueMode.Fair, track('a1', 'alice'), track('a2', 'alice'), track('b1', 'bob'));
+
+    queue.remove(1);
+    assert.deepEqual(names(queue), ['a1', 'a2']);
+
+    queue.swap(0, 1);
+    assert.deepEqual(names(queue), ['a2', 'a1']);
+});
+
+test('fair mode only swaps tracks into the turns of whoever requested them', () => {
+    const queue = createQueue(QueueMode.Fair, track('a1', 'alice'), track('b1', 'bob'), track('a2', 'alice'));
+    queue.enqueueFirst(track('next', 'bob'));
+    assert.deepEqual(names(queue), ['next', 'a1', 'b1', 'a2']);
+
+    assert.equal(queue.swap(1, 2), false);
+    assert.deepEqual(names(queue), ['next', 'a1', 'b1', 'a2']);
+
+    // b1 can go to the front, and the track that was there is bob's so it can take b1's place in bob's turn
+    assert.equal(queue.swap(0, 2), true);
+    assert.deepEqual(names(queue), ['b1', 'a1', 'next', 'a2']);
+    assert.equal(queue.swap(0, 1), false);
+
+    assert.equal(queue.swap(1, 3), true);
+    assert.deepEqual(names(queue), ['b1', 'a2', 'next', 'a1']);
+});
+
+test('switching modes keeps the tracks', () => {
+    const queue = createQueue(QueueMode.FIFO, track('a1', 'alice'), track('a2', 'alice'), track('b1', 'bob'));
+
+    queue.setMode(QueueMode.Fair);
+    assert.deepEqual(names(queue), ['a1', 'b1', 'a2']);
+
+    queue.setMode(QueueMode.FIFO);
+    assert.deepEqual(names(queue), ['a1', 'b1', 'a2']);
+});
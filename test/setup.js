@@ -0,0 +1,11 @@
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Every test file imports this before anything from the bot, since the stores read DATA_DIRECTORY (and the loggers LOG_LEVEL) when they are
+// first used. Each test file gets its own empty data directory, so saved queues and guild settings never leak between files or into ./data
+const dataDirectory = mkdtempSync(path.join(os.tmpdir(), 'musicbot-test-'));
+process.env.DATA_DIRECTORY = dataDirectory;
+process.env.LOG_LEVEL ??= 'silent';
+
+process.on('exit', () => rmSync(dataDirectory, { recursive: true, force: true }));
@@ -0,0 +1,143 @@
+import './setup.js';
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioPlayerStatus, VoiceConnectionDisconnectReason, VoiceConnectionStatus } from '@discordjs/voice';
+import { subscriptions } from '../music/subscription.js';
+import { getHistory } from '../music/history.js';
+import { createTestSubscription, createPlayableTrack, waitFor } from './fakes/subscription.js';
+
+// The timeouts in subscription.js (90 seconds of idling, 5 and 15 seconds for the voice connection to recover) are skipped through with mocked
+// timers. Only setTimeout is mocked, so waitFor() (which uses setImmediate) still works
+afterEach(() => mock.timers.reset());
+
+const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+const playing = (audioPlayer) => audioPlayer.state.status === AudioPlayerStatus.Playing ? audioPlayer.state.resource.metadata : null;
+
+async function startPlaying(...titles) {
+    const test = createTestSubscription();
+    const tracks = titles.map(title => createPlayableTrack(test.subscription, title));
+
+    test.subscription.queue.enqueue(...tracks);
+    await test.subscription.processQueue();
+    await waitFor(() => playing(test.audioPlayer), 'the first track to play');
+
+    return { ...test, tracks };
+}
+
+test('the next track plays when the current one finishes', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const { audioPlayer, tracks: [first, second], guild } = await startPlaying('first', 'second');
+
+    assert.equal(playing(audioPlayer), first);
+    audioPlayer.finish();
+    await waitFor(() => playing(audioPlayer) === second, 'the second track to play');
+
+    assert.equal(first.finished, true);
+    assert.equal(second.started, true);
+    assert.deepEqual(guild.nicknames.slice(-1), ['garnbot']);
+});
+
+test('going back plays the current track again afterwards instead of adding it to the history', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const { subscription, audioPlayer, guild, tracks: [current, later] } = await startPlaying('current', 'later');
+    const previous = createPlayableTrack(subscription, 'previous');
+
+    await subscription.goBack(previous);
+    await waitFor(() => playing(audioPlayer) === previous, 'the previous track to play');
+
+    assert.deepEqual([subscription.queue.get(0), subscription.queue.get(1)], [current, later]);
+    assert.equal(getHistory(guild.id).some(({ track }) => track.youtube_title === 'current'), false);
+
+    audioPlayer.finish();
+    await waitFor(() => playing(audioPlayer) === current, 'the interrupted track to play again');
+});
+
+test('the bot leaves after 90 seconds of nothing playing', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const { subscription, audioPlayer, voiceConnection, textChannel, guild } = await startPlaying('only');
+
+    audioPlayer.finish();
+    await waitFor(() => audioPlayer.listenerCount(AudioPlayerStatus.Playing) > 0, 'the idle timeout to start');
+
+    mock.timers.tick(89e3);
+    await nextTurn();
+    assert.equal(voiceConnection.state.status, VoiceConnectionStatus.Ready);
+
+    mock.timers.tick(1e3);
+    await waitFor(() => voiceConnection.state.status === VoiceConnectionStatus.Destroyed, 'the voice connection to be destroyed');
+    await waitFor(() => !subscriptions.has(guild.id), 'the subscription to end');
+
+    assert.ok(textChannel.sent.includes("Left the channel because you guys weren't giving me attention :("));
+    assert.equal(subscription.destroyed, true);
+});
+
+test('the bot stays if something starts playing within 90 seconds', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const { subscription, audioPlayer, voiceConnection, textChannel } = await startPlaying('first');
+
+    audioPlayer.finish();
+    await waitFor(() => audioPlayer.listenerCount(AudioPlayerStatus.Playing) > 0, 'the idle timeout to start');
+
+    mock.timers.tick(60e3);
+    subscription.queue.enqueue(createPlayableTrack(subscription, 'second'));
+    await subscription.processQueue();
+    await waitFor(() => playing(audioPlayer), 'the second track to play');
+
+    mock.timers.tick(30e3);
+    await nextTurn();
+
+    assert.equal(voiceConnection.state.status, VoiceConnectionStatus.Ready);
+    assert.equal(textChannel.sent.some(message => typeof message === 'string' && message.startsWith('Left the channel')), false);
+});
+
+test('being moved or kicked (close code 4014) ends the subscription unless it reconnects within 5 seconds', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const { voiceConnection, guild } = createTestSubscription();
+
+    voiceConnection.setState({ status: VoiceConnectionStatus.Disconnected, reason: VoiceConnectionDisconnectReason.WebSocketClose, closeCode: 4014 });
+    await nextTurn();
+    mock.timers.tick(5e3);
+
+    await waitFor(() => voiceConnection.state.status === VoiceConnectionStatus.Destroyed, 'the voice connection to be destroyed');
+    await waitFor(() => !subscriptions.has(guild.id), 'the subscription to end');
+});
+
+test('other disconnects stop rejoining after 5 attempts', async () => {
+    const { voiceConnection, guild } = createTestSubscription();
+    voiceConnection.rejoinAttempts = 5;
+
+    voiceConnection.setState({ status: VoiceConnectionStatus.Disconnected, reason: VoiceConnectionDisconnectReason.EndpointRemoved });
+
+    await waitFor(() => voiceConnection.state.status === VoiceConnectionStatus.Destroyed, 'the voice connection to be destroyed');
+    await waitFor(() => !subscriptions.has(guild.id), 'the subscription to end');
+});
+
+test('the connection is given 15 seconds to become ready again after signalling', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const { voiceConnection, guild } = createTestSubscription();
+
+    voiceConnection.setState({ status: VoiceConnectionStatus.Signalling });
+    await nextTurn();
+    mock.timers.tick(14e3);
+    await nextTurn();
+    assert.equal(voiceConnection.state.status, VoiceConnectionStatus.Signalling);
+
+    mock.timers.tick(1e3);
+    await waitFor(() => voiceConnection.state.status === VoiceConnectionStatus.Destroyed, 'the voice connection to be destroyed');
+    await waitFor(() => !subscriptions.has(guild.id), 'the subscription to end');
+});
+
+test('a connection that becomes ready in time is kept', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const { voiceConnection, guild } = createTestSubscription();
+
+    voiceConnection.setState({ status: VoiceConnectionStatus.Signalling });
+    await nextTurn();
+    mock.timers.tick(10e3);
+    voiceConnection.setState({ status: VoiceConnectionStatus.Ready });
+    mock.timers.tick(10e3);
+    await nextTurn();
+
+    assert.equal(voiceConnection.state.status, VoiceConnectionStatus.Ready);
+    assert.equal(subscriptions.has(guild.id), true);
+});
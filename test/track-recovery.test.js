@@ -0,0 +1,195 @@
+import './setup.js';
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { Track, setTrackSources } from '../music/track.js';
+import { youtubeDlSpawnFailures } from '../monitoring/metrics.js';
+import { createTestSubscription, createPlayableTrack, waitFor } from './fakes/subscription.js';
+import { createFailingExec, createFakeAudioResource, createFakeExec, createFakeSearch, createVideo } from './fakes/youtube.js';
+
+// When youtube-dl exits with code 1, Track.createAudioResource tries the same URL once more, then each of the track's alternate URLs (the other
+// search results), for 5 attempts in total before the track is skipped (see spawnErrorHandler in track.js)
+
+afterEach(() => {
+    mock.timers.reset();
+    setTrackSources();
+});
+
+// Audio resources are always faked, since the real ones need ffmpeg or an opus encoder
+const useSources = (overrides) => setTrackSources({ createAudioResource: createFakeAudioResource, ...overrides });
+
+function createTrack(subscription, name, alternates = []) {
+    const track = new Track({ ...createVideo(name), requestedBy: 'requester', requestedByName: 'requester' });
+    track.alternate_youtube_videos = alternates.map(createVideo);
+    track.subscription = subscription;
+    return track;
+}
+
+const playing = (audioPlayer) => audioPlayer.state.status === AudioPlayerStatus.Playing ? audioPlayer.state.resource.metadata : null;
+
+test('a track that fails with exit code 1 once is played on the second attempt with the same URL', async () => {
+    const exec = createFakeExec((url, attempt) => attempt === 1 ? 1 : 0);
+    useSources({ exec });
+
+    const { subscription, audioPlayer, textChannel } = createTestSubscription();
+    const track = createTrack(subscription, 'flaky', ['alternate']);
+
+    subscription.queue.enqueue(track);
+    await subscription.processQueue();
+    await waitFor(() => playing(audioPlayer), 'the track to play');
+
+    assert.equal(playing(audioPlayer), track);
+    assert.deepEqual(exec.urls, [createVideo('flaky').youtube_url, createVideo('flaky').youtube_url]);
+    assert.ok(textChannel.sent.some(message => message.includes('Trying again (3 attempts left')));
+    assert.equal(track.started, true);
+});
+
+test('after the second failure the alternate URLs are tried in order', async () => {
+    const broken = createVideo('broken').youtube_url;
+    const exec = createFailingExec({ [broken]: 1, [createVideo('alternate1').youtube_url]: 1 });
+    useSources({ exec });
+
+    const { subscription, audioPlayer, textChannel } = createTestSubscription();
+    const track = createTrack(subscription, 'broken', ['alternate1', 'alternate2', 'alternate3']);
+
+    subscription.queue.enqueue(track);
+    await subscription.processQueue();
+    await waitFor(() => playing(audioPlayer), 'the track to play');
+
+    assert.deepEqual(exec.urls, [broken, broken, createVideo('alternate1').youtube_url, createVideo('alternate2').youtube_url]);
+    assert.equal(track.youtube_title, 'alternate2');
+    assert.equal(playing(audioPlayer), track);
+    assert.equal(textChannel.sent.filter(message => message.includes('Trying again with a different youtube URL')).length, 2);
+});
+
+test('the track is skipped after 5 failed attempts and the next one plays', async () => {
+    const broken = createVideo('broken').youtube_url;
+    const exec = createFailingExec({ [broken]: 1 });
+    useSources({ exec });
+
+    const { subscription, audioPlayer, textChannel } = createTestSubscription();
+    const track = createTrack(subscription, 'broken');
+    const next = createPlayableTrack(subscription, 'next');
+
+    subscription.queue.enqueue(track, next);
+    await subscription.processQueue();
+    await waitFor(() => playing(audioPlayer), 'the next track to play');
+
+    // There are no alternates, so every attempt uses the same URL
+    assert.deepEqual(exec.urls, [broken, broken, broken, broken, broken]);
+    assert.ok(textChannel.sent.some(message => message.includes('Could not find an alternate youtube URL')));
+    assert.ok(textChannel.sent.includes('Failed to play `broken`'));
+    assert.equal(playing(audioPlayer), next);
+    assert.equal(subscription.queue.length(), 0);
+});
+
+test('other exit codes are not retried', async () => {
+    const broken = createVideo('broken').youtube_url;
+    const exec = createFailingExec({ [broken]: 2 });
+    useSources({ exec });
+
+    const { subscription, audioPlayer } = createTestSubscription();
+    const track = createTrack(subscription, 'broken', ['alternate']);
+    const next = createPlayableTrack(subscription, 'next');
+
+    subscription.queue.enqueue(track, next);
+    await subscription.processQueue();
+    await waitFor(() => playing(audioPlayer), 'the next track to play');
+
+    assert.deepEqual(exec.urls, [broken]);
+    assert.equal(playing(audioPlayer), next);
+});
+
+test('spotify tracks search youtube when they are about to play, and keep the other results as alternates', async () => {
+    const search = createFakeSearch([createVideo('best match'), createVideo('second match')]);
+    const exec = createFailingExec({ [createVideo('best match').youtube_url]: 1 });
+    useSources({ exec, searchYoutube: search });
+
+    const { subscription, audioPlayer } = createTestSubscription();
+    const track = new Track({ spotify_title: 'Song', spotify_authors: ['Artist'], requestedBy: 'requester', requestedByName: 'requester' });
+    track.subscription = subscription;
+
+    subscription.queue.enqueue(track);
+    await subscription.processQueue();
+    await waitFor(() => playing(audioPlayer), 'the track to play');
+
+    assert.equal(search.searches.length, 1);
+    assert.equal(search.searches[0].songName, 'Song');
+    assert.equal(track.youtube_title, 'second match');
+    assert.deepEqual(exec.urls, [createVideo('best match').youtube_url, createVideo('best match').youtube_url, createVideo('second match').youtube_url]);
+});
+
+test('spotify tracks that youtube has no results for are skipped instead of stopping the queue', async () => {
+    for (let results of [null, []]) {
+        useSources({ exec: createFakeExec(), searchYoutube: createFakeSearch(results) });
+
+        const { subscription, audioPlayer, textChannel } = createTestSubscription();
+        const track = new Track({ spotify_title: 'Song', spotify_authors: ['Artist'], requestedBy: 'requester', requestedByName: 'requester' });
+        track.subscription = subscription;
+        const next = createPlayableTrack(subscription, 'next');
+
+        subscription.queue.enqueue(track, next);
+        await subscription.processQueue();
+        await waitFor(() => playing(audioPlayer) === next, 'the next track to play');
+
+        assert.ok(textChannel.sent.some(message => message.startsWith('Could not find a Youtube URL')));
+        assert.equal(subscription.queueProcessLock, false);
+    }
+});
+
+test('a seek that fails keeps the track playing from where it was, and it only plays once', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+
+    // The first download works, the one the seek starts doesn't
+    const exec = createFakeExec((url, attempt) => attempt === 1 ? 0 : 1);
+    useSources({ exec });
+
+    const { subscription, audioPlayer } = createTestSubscription();
+    const track = createTrack(subscription, 'song');
+    const next = createPlayableTrack(subscription, 'next');
+
+    subscription.queue.enqueue(track, next);
+    await subscription.processQueue();
+    await waitFor(() => playing(audioPlayer) === track, 'the track to play');
+    const process = track.process;
+
+    await assert.rejects(subscription.seek(60e3));
+
+    assert.equal(exec.urls.length, 2);
+    assert.equal(playing(audioPlayer), track);
+    assert.equal(track.process, process);
+    assert.equal(track.startOffset, 0);
+    assert.deepEqual([track.started, track.finished, subscription.wait], [true, false, false]);
+    assert.deepEqual(subscription.queue.getShallowClone(), [next]);
+
+    audioPlayer.finish();
+    await waitFor(() => playing(audioPlayer) === next, 'the next track to play');
+
+    assert.equal(track.finished, true);
+    assert.equal(subscription.queue.length(), 0);
+});
+
+test('cancelling the download of a track that finished is not counted as a failure', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const exec = createFakeExec();
+    useSources({ exec });
+
+    const { subscription, audioPlayer } = createTestSubscription();
+    const track = createTrack(subscription, 'song');
+
+    subscription.queue.enqueue(track);
+    await subscription.processQueue();
+    await waitFor(() => playing(audioPlayer) === track, 'the track to play');
+
+    const failures = [...youtubeDlSpawnFailures.values];
+    const process = track.process;
+    audioPlayer.finish();
+
+    // onFinish cancels the download 30 seconds later
+    await waitFor(() => track.finished, 'the track to finish');
+    mock.timers.tick(30e3);
+    await waitFor(() => process.killed, 'the download to be cancelled');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual([...youtubeDlSpawnFailures.values], failures);
+});